@@ -6,17 +6,23 @@
  * - Perform line-by-line diff between current and backup content
  * - Display color-coded diff (red=removed, green=added, white=unchanged)
  * - Interactive line restoration (click arrows to select lines)
+ * - Hunk restoration and next/previous change navigation with a gutter map
+ * - Word/character highlighting inside modified lines
  * - Preview selected lines in left pane
  * - Send restored content back to main window
  * - Full backup restoration
+ * - Read-only comparison of two backups, or a backup vs. the file on disk
+ * - Three-way merge when the file changed on disk while it had unsaved edits
  *
  * Diff Algorithm:
- * Simple line-by-line comparison (not using Myers or LCS algorithms).
+ * Myers O(ND) shortest-edit-script diff over lines (diff.js), so inserted,
+ * deleted and moved blocks are aligned instead of shifting every following line.
  * Classifies each line as: unchanged, removed, added, or modified.
  * Modified lines are shown as removed+added for clarity.
  */
 
 const { ipcRenderer } = require('electron');
+const { myersDiff } = require('./diff');
 
 // ==========================================
 // DOM Element References
@@ -26,12 +32,20 @@ const currentContent = document.getElementById('current-content');
 const backupContent = document.getElementById('backup-content');
 const backupVersion = document.getElementById('backup-version');
 const backupTime = document.getElementById('backup-time');
-const removedCount = document.getElementById('removed-count');
-const addedCount = document.getElementById('added-count');
+const currentTitle = document.getElementById('current-title');
+const titlebarText = document.getElementById('titlebar-text');
+const summaryTitle = document.getElementById('summary-title');
+const removedSummary = document.getElementById('removed-summary');
+const addedSummary = document.getElementById('added-summary');
 const selectionCount = document.getElementById('selection-count');
 const finalizeBtn = document.getElementById('finalize-btn');
 const restoreFullBtn = document.getElementById('restore-full-btn');
 const closeWindowBtn = document.getElementById('close-window-btn');
+const prevChangeBtn = document.getElementById('prev-change-btn');
+const nextChangeBtn = document.getElementById('next-change-btn');
+const hunkPosition = document.getElementById('hunk-position');
+const hunkMap = document.getElementById('hunk-map');
+const granularityButtons = document.querySelectorAll('.granularity-btn');
 
 // Title bar controls
 const minimizeBtn = document.getElementById('minimize-btn');
@@ -47,8 +61,19 @@ let backupText = '';         // Backup file content
 let currentLines = [];       // Current file split into lines
 let backupLines = [];        // Backup file split into lines
 let diffData = [];           // Array of diff objects {type, currentLine, backupLine, index}
-let selectedLines = new Set(); // Indexes of backup lines user has selected to restore
+let selectedLines = new Set(); // Indexes into diffData the user has selected to restore
 let versionId = '';          // Backup version ID (e.g., "v003")
+let currentLabel = '';       // Title of the left pane (buffer, file on disk or another backup)
+let backupLabel = '';        // Title of the right pane
+let readOnly = false;        // True when the left pane is not the editor buffer (nothing to restore into)
+let scrollSyncReady = false; // Scroll listeners are attached once, the window can be reused
+let mergeMode = false;       // True while resolving external changes (base / mine / theirs)
+let mergeChunks = [];        // Output of mergeLines(): merged runs and conflicts
+let mergeConflicts = [];     // Indexes into mergeChunks of the conflict chunks
+let currentConflict = -1;    // Index into mergeConflicts selected for navigation
+let hunks = [];              // Runs of consecutive changes {start, end, hasRemoved, hasAdded}
+let currentHunk = -1;        // Index of the hunk selected for keyboard navigation
+let inlineDiffMode = localStorage.getItem('compare.inlineDiffMode') || 'word'; // 'line', 'word' or 'char'
 
 // Title bar functionality
 minimizeBtn.addEventListener('click', () => {
@@ -69,33 +94,58 @@ closeWindowBtn.addEventListener('click', () => {
 
 // Receive comparison data from main process
 ipcRenderer.on('compare-data', (event, data) => {
+  if (data.mode === 'merge') {
+    startMerge(data);
+    return;
+  }
+
+  mergeMode = false;
+  document.body.classList.remove('merge-mode');
+  finalizeBtn.textContent = 'Finalize Restoration';
+
   currentText = data.current;
   backupText = data.backup;
   versionId = data.versionId;
+  currentLabel = data.currentLabel || 'Current (what you have now)';
+  backupLabel = data.backupLabel || `Backup ${data.versionId}`;
+  readOnly = !!data.readOnly;
 
   backupVersion.textContent = data.versionId;
   backupTime.textContent = data.timestamp ? `(${data.timestamp})` : '';
+  currentTitle.textContent = currentLabel;
+  titlebarText.textContent = readOnly ? 'Compare Versions' : 'Compare Backup';
+  document.body.classList.toggle('read-only', readOnly);
+
+  // The window may be reused for a new comparison, so drop old selections
+  selectedLines.clear();
+  updateSelectionCount();
 
   performDiff();
+  buildHunks();
   renderDiff();
   updateSummary();
+
+  // Synchronize scrolling
+  if (!scrollSyncReady) {
+    setupScrollSync();
+    scrollSyncReady = true;
+  }
 });
 
 /**
- * Perform line-by-line diff between current and backup content
+ * Perform line diff between current and backup content
  *
  * Algorithm:
  * 1. Split both files into arrays of lines
- * 2. Compare line-by-line at each index position
- * 3. Classify each line pair:
- *    - unchanged: both lines exist and are identical
- *    - modified: both lines exist but differ
+ * 2. Run Myers diff to find the shortest edit script (current -> backup)
+ * 3. Walk each run of changes between unchanged lines and classify:
+ *    - unchanged: line is common to both files
+ *    - modified: a removed line paired with an added line in the same run
  *    - removed: line exists in current but not backup (will be lost on restore)
  *    - added: line exists in backup but not current (will be restored)
  *
- * Note: This is a simple positional diff, not a smart LCS (Longest Common Subsequence)
- * algorithm. It works well for small edits but may not optimally align heavily
- * rearranged content. The advantage is simplicity and speed.
+ * lineNum is the index in currentLines the entry belongs to (for added lines,
+ * the position they would be inserted at).
  */
 function performDiff() {
   currentLines = currentText.split('\n');
@@ -103,76 +153,133 @@ function performDiff() {
 
   diffData = [];
 
-  // Compare up to the longest file's line count
-  const maxLines = Math.max(currentLines.length, backupLines.length);
+  const edits = myersDiff(currentLines, backupLines);
+  let i = 0;
 
-  for (let i = 0; i < maxLines; i++) {
-    const currentLine = i < currentLines.length ? currentLines[i] : null;
-    const backupLine = i < backupLines.length ? backupLines[i] : null;
+  while (i < edits.length) {
+    const edit = edits[i];
 
-    if (currentLine === backupLine) {
-      // Lines match - unchanged
+    if (edit.op === 'equal') {
       diffData.push({
         type: 'unchanged',
-        current: currentLine,
-        backup: backupLine,
-        lineNum: i
+        current: currentLines[edit.aIndex],
+        backup: backupLines[edit.bIndex],
+        lineNum: edit.aIndex
       });
-    } else if (currentLine !== null && backupLine !== null) {
-      // Both exist but differ - modified
-      // Shown as red (current) and green (backup) in UI
+      i++;
+      continue;
+    }
+
+    // Collect the whole run of changes up to the next unchanged line
+    const removedRun = [];
+    const addedRun = [];
+    const runStart = edit.aIndex;
+    while (i < edits.length && edits[i].op !== 'equal') {
+      if (edits[i].op === 'delete') {
+        removedRun.push(edits[i].aIndex);
+      } else {
+        addedRun.push(edits[i].bIndex);
+      }
+      i++;
+    }
+
+    // Pair removed and added lines as modifications, in order
+    const paired = Math.min(removedRun.length, addedRun.length);
+    for (let p = 0; p < paired; p++) {
       diffData.push({
         type: 'modified',
-        current: currentLine,
-        backup: backupLine,
-        lineNum: i
+        current: currentLines[removedRun[p]],
+        backup: backupLines[addedRun[p]],
+        lineNum: removedRun[p]
       });
-    } else if (currentLine !== null && backupLine === null) {
-      // Only in current file - will be removed on restore
+    }
+
+    // Leftover lines only exist on one side
+    for (let p = paired; p < removedRun.length; p++) {
       diffData.push({
         type: 'removed',
-        current: currentLine,
+        current: currentLines[removedRun[p]],
         backup: null,
-        lineNum: i
+        lineNum: removedRun[p]
       });
-    } else if (currentLine === null && backupLine !== null) {
-      // Only in backup - will be added on restore
+    }
+    const insertAt = removedRun.length > 0 ? removedRun[removedRun.length - 1] + 1 : runStart;
+    for (let p = paired; p < addedRun.length; p++) {
       diffData.push({
         type: 'added',
         current: null,
-        backup: backupLine,
-        lineNum: i
+        backup: backupLines[addedRun[p]],
+        lineNum: insertAt
       });
     }
   }
 }
 
+/**
+ * Group consecutive changed lines into hunks
+ *
+ * A hunk is a run of non-unchanged diffData entries. Each diff entry gets a
+ * `hunk` index so rows can be mapped back to their hunk when rendering.
+ */
+function buildHunks() {
+  hunks = [];
+  let current = null;
+
+  diffData.forEach((diff, index) => {
+    if (diff.type === 'unchanged') {
+      diff.hunk = -1;
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      current = { start: index, end: index, hasRemoved: false, hasAdded: false };
+      hunks.push(current);
+    }
+    current.end = index;
+    if (diff.type === 'removed' || diff.type === 'modified') current.hasRemoved = true;
+    if (diff.type === 'added' || diff.type === 'modified') current.hasAdded = true;
+    diff.hunk = hunks.length - 1;
+  });
+
+  currentHunk = hunks.length > 0 ? 0 : -1;
+}
+
 // Render the diff in both panes
 function renderDiff() {
   const currentHTML = [];
   const backupHTML = [];
 
   diffData.forEach((diff, index) => {
+    const attrs = `data-index="${index}" data-hunk="${diff.hunk}"`;
+    const isHunkStart = diff.hunk >= 0 && hunks[diff.hunk].start === index;
+    const hunkButton = isHunkStart
+      ? `<button class="restore-hunk" data-hunk="${diff.hunk}" title="Restore this hunk (Enter)">⇇</button>`
+      : '';
+
     if (diff.type === 'unchanged') {
       // Show in both panes
-      currentHTML.push(`<div class="diff-line unchanged"><span class="line-text">${escapeHtml(diff.current)}</span></div>`);
-      backupHTML.push(`<div class="diff-line unchanged"><span class="line-text">${escapeHtml(diff.backup)}</span></div>`);
+      currentHTML.push(`<div class="diff-line unchanged" ${attrs}><span class="line-text">${escapeHtml(diff.current)}</span></div>`);
+      backupHTML.push(`<div class="diff-line unchanged" ${attrs}><span class="line-text">${escapeHtml(diff.backup)}</span></div>`);
     } else if (diff.type === 'modified') {
+      const inline = renderInlineDiff(diff.current, diff.backup);
       // Current shows what will be lost (red)
-      currentHTML.push(`<div class="diff-line removed"><span class="line-text">${escapeHtml(diff.current)}</span></div>`);
+      currentHTML.push(`<div class="diff-line removed" ${attrs}><span class="line-text">${inline.current}</span></div>`);
       // Backup shows what will replace it (green) with restore button
-      backupHTML.push(`<div class="diff-line added">
+      backupHTML.push(`<div class="diff-line added" ${attrs}>
+        ${hunkButton}
         <button class="restore-arrow" data-index="${index}">←</button>
-        <span class="line-text">${escapeHtml(diff.backup)}</span>
+        <span class="line-text">${inline.backup}</span>
       </div>`);
     } else if (diff.type === 'removed') {
       // Only in current (red) - will be deleted on full restore
-      currentHTML.push(`<div class="diff-line removed"><span class="line-text">${escapeHtml(diff.current)}</span></div>`);
-      backupHTML.push(`<div class="diff-line unchanged"><span class="line-text">&nbsp;</span></div>`);
+      currentHTML.push(`<div class="diff-line removed" ${attrs}><span class="line-text">${escapeHtml(diff.current)}</span></div>`);
+      backupHTML.push(`<div class="diff-line unchanged" ${attrs}>${hunkButton}<span class="line-text">&nbsp;</span></div>`);
     } else if (diff.type === 'added') {
       // Only in backup (green) - will be added on full restore
-      currentHTML.push(`<div class="diff-line unchanged"><span class="line-text">&nbsp;</span></div>`);
-      backupHTML.push(`<div class="diff-line added">
+      currentHTML.push(`<div class="diff-line unchanged" ${attrs}><span class="line-text">&nbsp;</span></div>`);
+      backupHTML.push(`<div class="diff-line added" ${attrs}>
+        ${hunkButton}
         <button class="restore-arrow" data-index="${index}">←</button>
         <span class="line-text">${escapeHtml(diff.backup)}</span>
       </div>`);
@@ -187,10 +294,130 @@ function renderDiff() {
     arrow.addEventListener('click', handleRestoreArrowClick);
   });
 
-  // Synchronize scrolling
-  setupScrollSync();
+  // Attach click handlers to hunk restore buttons
+  backupContent.querySelectorAll('.restore-hunk').forEach(button => {
+    button.addEventListener('click', (e) => {
+      const hunkIndex = parseInt(e.currentTarget.dataset.hunk);
+      goToHunk(hunkIndex);
+      toggleHunk(hunkIndex);
+    });
+  });
+
+  renderHunkMap();
+  highlightCurrentHunk();
+}
+
+// ==========================================
+// Intra-line Highlighting
+// ==========================================
+// The diff costs the square of the changed tokens, so very long lines (a
+// pasted data: URI, a minified blob) are compared by word or not at all.
+
+const INLINE_CHAR_DIFF_MAX_LENGTH = 2000; // Longer lines are highlighted by word instead of character
+const INLINE_DIFF_MAX_EDITS = 1000; // Past this many changed tokens only the line is coloured
+
+// Split a line into diff tokens for the current granularity
+function tokenizeLine(text, byChar) {
+  if (byChar) {
+    return Array.from(text);
+  }
+  // Words, runs of whitespace, and single punctuation marks
+  return text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+}
+
+/**
+ * Highlight only the changed spans inside a modified line
+ *
+ * Runs the same Myers diff over words or characters. If the two lines share
+ * too little text the spans would just be noise, so the whole line is left
+ * to the line-level colouring instead.
+ *
+ * @param {string} currentLine - Line from the current file
+ * @param {string} backupLine - Line from the backup
+ * @returns {{current: string, backup: string}} Escaped HTML for each pane
+ */
+function renderInlineDiff(currentLine, backupLine) {
+  if (inlineDiffMode === 'line') {
+    return { current: escapeHtml(currentLine), backup: escapeHtml(backupLine) };
+  }
+
+  const byChar = inlineDiffMode === 'char' &&
+    Math.max(currentLine.length, backupLine.length) <= INLINE_CHAR_DIFF_MAX_LENGTH;
+  const currentTokens = tokenizeLine(currentLine, byChar);
+  const backupTokens = tokenizeLine(backupLine, byChar);
+
+  // Lines sharing under 30% of their text are left unhighlighted below, so
+  // stop once about 70% of the tokens have changed
+  const maxEdits = Math.min(Math.ceil((currentTokens.length + backupTokens.length) * 0.7), INLINE_DIFF_MAX_EDITS);
+  const edits = myersDiff(currentTokens, backupTokens, maxEdits);
+  if (!edits) {
+    return { current: escapeHtml(currentLine), backup: escapeHtml(backupLine) };
+  }
+
+  let sharedLength = 0;
+  edits.forEach(edit => {
+    if (edit.op === 'equal') sharedLength += currentTokens[edit.aIndex].length;
+  });
+  const longest = Math.max(currentLine.length, backupLine.length, 1);
+  if (sharedLength / longest < 0.3) {
+    return { current: escapeHtml(currentLine), backup: escapeHtml(backupLine) };
+  }
+
+  // Merge consecutive tokens with the same role into one span
+  const buildSide = (changedOp, tokens, indexKey, cssClass) => {
+    const parts = [];
+    let run = '';
+    let runChanged = false;
+
+    const flush = () => {
+      if (!run) return;
+      parts.push(runChanged ? `<span class="${cssClass}">${escapeHtml(run)}</span>` : escapeHtml(run));
+      run = '';
+    };
+
+    edits.forEach(edit => {
+      if (edit.op !== 'equal' && edit.op !== changedOp) return;
+      const changed = edit.op === changedOp;
+      if (changed !== runChanged) {
+        flush();
+        runChanged = changed;
+      }
+      run += tokens[edit[indexKey]];
+    });
+    flush();
+
+    return parts.join('');
+  };
+
+  return {
+    current: buildSide('delete', currentTokens, 'aIndex', 'inline-removed'),
+    backup: buildSide('insert', backupTokens, 'bIndex', 'inline-added')
+  };
 }
 
+// Switch between line, word and character highlighting
+function setInlineDiffMode(mode) {
+  inlineDiffMode = mode;
+  localStorage.setItem('compare.inlineDiffMode', mode);
+
+  granularityButtons.forEach(button => {
+    button.classList.toggle('active', button.dataset.mode === mode);
+  });
+
+  if (diffData.length > 0) {
+    renderDiff();
+    refreshSelectionMarkers();
+    if (selectedLines.size > 0) {
+      updatePreview();
+    }
+  }
+}
+
+granularityButtons.forEach(button => {
+  button.addEventListener('click', () => setInlineDiffMode(button.dataset.mode));
+});
+setInlineDiffMode(inlineDiffMode);
+
 // Handle clicking restore arrow
 function handleRestoreArrowClick(e) {
   const index = parseInt(e.target.dataset.index);
@@ -199,52 +426,228 @@ function handleRestoreArrowClick(e) {
   if (!diff) return;
 
   if (selectedLines.has(index)) {
-    // Deselect
     selectedLines.delete(index);
-    e.target.classList.remove('selected');
-    e.target.textContent = '←';
   } else {
-    // Select
     selectedLines.add(index);
-    e.target.classList.add('selected');
-    e.target.textContent = '✓';
   }
 
+  refreshSelectionMarkers();
   updatePreview();
   updateSelectionCount();
 }
 
-// Update the current pane to show preview of restoration
-function updatePreview() {
-  const previewLines = [...currentLines];
-
-  // Apply selected changes
-  selectedLines.forEach(index => {
-    const diff = diffData[index];
-    if (diff.type === 'modified') {
-      // Replace current line with backup line
-      previewLines[diff.lineNum] = diff.backup;
-    } else if (diff.type === 'added') {
-      // Insert backup line
-      previewLines.splice(diff.lineNum, 0, diff.backup);
+/**
+ * Toggle restoration of a whole hunk
+ *
+ * Selecting a hunk makes that region match the backup: backup lines are
+ * restored and lines that only exist in the current file are dropped.
+ * If the hunk is already fully selected, it is deselected instead.
+ *
+ * @param {number} hunkIndex - Index into hunks
+ */
+function toggleHunk(hunkIndex) {
+  const hunk = hunks[hunkIndex];
+  if (!hunk) return;
+
+  const indexes = [];
+  for (let i = hunk.start; i <= hunk.end; i++) {
+    indexes.push(i);
+  }
+
+  const allSelected = indexes.every(i => selectedLines.has(i));
+  indexes.forEach(i => {
+    if (allSelected) {
+      selectedLines.delete(i);
+    } else {
+      selectedLines.add(i);
     }
   });
 
-  // Re-render current pane
-  const currentHTML = [];
-  previewLines.forEach((line, i) => {
-    const isRestored = Array.from(selectedLines).some(idx => {
-      const diff = diffData[idx];
-      return diff && diff.lineNum === i && (diff.type === 'modified' || diff.type === 'added');
+  refreshSelectionMarkers();
+  updatePreview();
+  updateSelectionCount();
+}
+
+// Check whether every line of a hunk is selected
+function isHunkSelected(hunkIndex) {
+  const hunk = hunks[hunkIndex];
+  if (!hunk) return false;
+  for (let i = hunk.start; i <= hunk.end; i++) {
+    if (!selectedLines.has(i)) return false;
+  }
+  return true;
+}
+
+// Sync arrow, hunk button and gutter map state with selectedLines
+function refreshSelectionMarkers() {
+  backupContent.querySelectorAll('.restore-arrow').forEach(arrow => {
+    const selected = selectedLines.has(parseInt(arrow.dataset.index));
+    arrow.classList.toggle('selected', selected);
+    arrow.textContent = selected ? '✓' : '←';
+  });
+
+  backupContent.querySelectorAll('.restore-hunk').forEach(button => {
+    button.classList.toggle('selected', isHunkSelected(parseInt(button.dataset.hunk)));
+  });
+
+  hunkMap.querySelectorAll('.hunk-marker').forEach(marker => {
+    marker.classList.toggle('restored', isHunkSelected(parseInt(marker.dataset.hunk)));
+  });
+}
+
+// ==========================================
+// Change Navigation
+// ==========================================
+
+// Move to a hunk and scroll it into view
+function goToHunk(hunkIndex) {
+  if (hunks.length === 0) return;
+
+  currentHunk = Math.max(0, Math.min(hunkIndex, hunks.length - 1));
+  highlightCurrentHunk();
+
+  const row = backupContent.querySelector(`.diff-line[data-index="${hunks[currentHunk].start}"]`);
+  if (row) {
+    row.scrollIntoView({ block: 'center' });
+  }
+}
+
+function nextHunk() {
+  if (hunks.length === 0) return;
+  goToHunk((currentHunk + 1) % hunks.length);
+}
+
+function previousHunk() {
+  if (hunks.length === 0) return;
+  goToHunk((currentHunk - 1 + hunks.length) % hunks.length);
+}
+
+// Outline the rows of the current hunk and update the position label
+function highlightCurrentHunk() {
+  document.querySelectorAll('.diff-line.current-hunk').forEach(row => {
+    row.classList.remove('current-hunk');
+  });
+  hunkMap.querySelectorAll('.hunk-marker.current').forEach(marker => {
+    marker.classList.remove('current');
+  });
+
+  if (currentHunk < 0) {
+    hunkPosition.textContent = 'No changes';
+    prevChangeBtn.disabled = true;
+    nextChangeBtn.disabled = true;
+    return;
+  }
+
+  document.querySelectorAll(`.diff-line[data-hunk="${currentHunk}"]`).forEach(row => {
+    row.classList.add('current-hunk');
+  });
+  const marker = hunkMap.querySelector(`.hunk-marker[data-hunk="${currentHunk}"]`);
+  if (marker) marker.classList.add('current');
+
+  hunkPosition.textContent = `Change ${currentHunk + 1} of ${hunks.length}`;
+  prevChangeBtn.disabled = false;
+  nextChangeBtn.disabled = false;
+}
+
+// Draw the changed-hunks gutter map (like the editor minimap, one marker per hunk)
+function renderHunkMap() {
+  const total = Math.max(diffData.length, 1);
+
+  hunkMap.innerHTML = hunks.map((hunk, index) => {
+    const kind = hunk.hasAdded && hunk.hasRemoved ? 'mixed' : (hunk.hasAdded ? 'added' : 'removed');
+    const top = (hunk.start / total) * 100;
+    const height = ((hunk.end - hunk.start + 1) / total) * 100;
+    return `<div class="hunk-marker ${kind}" data-hunk="${index}" style="top: ${top}%; height: ${height}%;" title="Change ${index + 1}"></div>`;
+  }).join('');
+
+  hunkMap.querySelectorAll('.hunk-marker').forEach(marker => {
+    marker.addEventListener('click', () => {
+      goToHunk(parseInt(marker.dataset.hunk));
     });
+  });
+}
 
-    if (isRestored) {
-      currentHTML.push(`<div class="diff-line added"><span class="line-text">${escapeHtml(line)}</span></div>`);
-    } else {
-      currentHTML.push(`<div class="diff-line unchanged"><span class="line-text">${escapeHtml(line)}</span></div>`);
+// Step through hunks, or through conflicts in merge mode
+function nextChange() {
+  if (mergeMode) {
+    goToConflict((currentConflict + 1) % Math.max(mergeConflicts.length, 1));
+  } else {
+    nextHunk();
+  }
+}
+
+function previousChange() {
+  if (mergeMode) {
+    goToConflict((currentConflict - 1 + mergeConflicts.length) % Math.max(mergeConflicts.length, 1));
+  } else {
+    previousHunk();
+  }
+}
+
+prevChangeBtn.addEventListener('click', previousChange);
+nextChangeBtn.addEventListener('click', nextChange);
+
+// Keyboard navigation: n/j/F8 = next change, p/k/Shift+F8 = previous, Enter/r = restore hunk
+document.addEventListener('keydown', (e) => {
+  if (e.ctrlKey || e.altKey || e.metaKey) return;
+  if (e.target.tagName === 'BUTTON' && e.key === 'Enter') return;
+  // Typing in the merge editor (or any other field) is text, not shortcuts
+  if (e.target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+  if (e.key === 'n' || e.key === 'j' || (e.key === 'F8' && !e.shiftKey)) {
+    e.preventDefault();
+    nextChange();
+  } else if (e.key === 'p' || e.key === 'k' || (e.key === 'F8' && e.shiftKey)) {
+    e.preventDefault();
+    previousChange();
+  } else if ((e.key === 'Enter' || e.key === 'r') && !readOnly && !mergeMode) {
+    e.preventDefault();
+    toggleHunk(currentHunk);
+  }
+});
+
+/**
+ * Build the current file with the selected backup lines applied
+ *
+ * Walks diffData in order so restored lines land where the diff aligned them,
+ * regardless of how many other lines were inserted above.
+ *
+ * @returns {Array<{text: string, restored: boolean}>}
+ */
+function buildRestoredLines() {
+  const result = [];
+
+  diffData.forEach((diff, index) => {
+    const selected = selectedLines.has(index);
+
+    if (diff.type === 'unchanged') {
+      result.push({ text: diff.current, restored: false });
+    } else if (diff.type === 'removed') {
+      // Lines only in current are dropped when their hunk is restored
+      if (!selected) {
+        result.push({ text: diff.current, restored: false });
+      }
+    } else if (diff.type === 'modified') {
+      // Replace current line with backup line when selected
+      result.push(selected
+        ? { text: diff.backup, restored: true }
+        : { text: diff.current, restored: false });
+    } else if (diff.type === 'added' && selected) {
+      // Insert backup line
+      result.push({ text: diff.backup, restored: true });
     }
   });
 
+  return result;
+}
+
+// Update the current pane to show preview of restoration
+function updatePreview() {
+  const currentHTML = buildRestoredLines().map(line => {
+    const cssClass = line.restored ? 'added' : 'unchanged';
+    return `<div class="diff-line ${cssClass}"><span class="line-text">${escapeHtml(line.text)}</span></div>`;
+  });
+
   currentContent.innerHTML = currentHTML.join('');
 }
 
@@ -262,8 +665,16 @@ function updateSummary() {
     }
   });
 
-  removedCount.textContent = removedLines;
-  addedCount.textContent = addedLines;
+  if (readOnly) {
+    // Neutral wording: nothing is restored, we only show what differs
+    summaryTitle.textContent = 'Differences between the two versions:';
+    removedSummary.innerHTML = `<strong>${removedLines}</strong> line${removedLines === 1 ? '' : 's'} only in ${escapeHtml(currentLabel)}`;
+    addedSummary.innerHTML = `<strong>${addedLines}</strong> line${addedLines === 1 ? '' : 's'} only in ${escapeHtml(backupLabel)}`;
+  } else {
+    summaryTitle.textContent = 'If you restore this backup:';
+    removedSummary.innerHTML = `You will <strong>LOSE</strong> ${removedLines} lines (new content added after backup)`;
+    addedSummary.innerHTML = `You will <strong>GET BACK</strong> ${addedLines} lines (deleted since backup)`;
+  }
 }
 
 // Update selection count and button state
@@ -279,23 +690,17 @@ function updateSelectionCount() {
 
 // Finalize restoration (apply selected lines)
 finalizeBtn.addEventListener('click', () => {
+  if (mergeMode) {
+    if (mergeConflicts.some(index => !mergeChunks[index].resolution)) return;
+    ipcRenderer.send('apply-merge', buildMergedContent());
+    window.close();
+    return;
+  }
+
   if (selectedLines.size === 0) return;
 
   // Build the restored content
-  const restoredLines = [...currentLines];
-
-  // Apply selected changes
-  const sortedSelections = Array.from(selectedLines).sort((a, b) => a - b);
-  sortedSelections.forEach(index => {
-    const diff = diffData[index];
-    if (diff.type === 'modified') {
-      restoredLines[diff.lineNum] = diff.backup;
-    } else if (diff.type === 'added') {
-      restoredLines.splice(diff.lineNum, 0, diff.backup);
-    }
-  });
-
-  const restoredContent = restoredLines.join('\n');
+  const restoredContent = buildRestoredLines().map(line => line.text).join('\n');
 
   // Send to main window
   ipcRenderer.send('apply-partial-restore', restoredContent);
@@ -318,6 +723,266 @@ restoreFullBtn.addEventListener('click', () => {
   window.close();
 });
 
+// ==========================================
+// Three-way Merge
+// ==========================================
+
+/**
+ * Collect the regions one side changed relative to the common base
+ *
+ * @param {string[]} base - Lines of the common ancestor
+ * @param {string[]} side - Lines of one descendant (mine or theirs)
+ * @returns {Array<{start: number, end: number, lines: string[]}>} base[start, end)
+ *   is replaced by lines; start === end is a pure insertion
+ */
+function changeRanges(base, side) {
+  const ranges = [];
+  let range = null;
+
+  myersDiff(base, side).forEach(edit => {
+    if (edit.op === 'equal') {
+      range = null;
+      return;
+    }
+    if (!range) {
+      range = { start: edit.aIndex, end: edit.aIndex, lines: [] };
+      ranges.push(range);
+    }
+    if (edit.op === 'delete') {
+      range.end = edit.aIndex + 1;
+    } else {
+      range.lines.push(side[edit.bIndex]);
+    }
+  });
+
+  return ranges;
+}
+
+// Rebuild base[start, end) with one side's changes applied
+function applyRanges(base, ranges, start, end) {
+  const result = [];
+  let pos = start;
+  ranges.forEach(range => {
+    result.push(...base.slice(pos, range.start), ...range.lines);
+    pos = range.end;
+  });
+  result.push(...base.slice(pos, end));
+  return result;
+}
+
+/**
+ * Three-way merge of line arrays (diff3)
+ *
+ * Regions changed on only one side are taken as they are, and identical
+ * changes on both sides are taken once. Where both sides changed the same or
+ * touching lines differently, a conflict chunk is produced, as git does.
+ *
+ * @param {string[]} base - Last loaded/saved text
+ * @param {string[]} mine - Editor buffer
+ * @param {string[]} theirs - File on disk now
+ * @returns {Array<Object>} {type: 'ok', source: 'base'|'mine'|'theirs'|'both', lines}
+ *   or {type: 'conflict', base, mine, theirs, resolution: null}
+ */
+function mergeLines(base, mine, theirs) {
+  const mineRanges = changeRanges(base, mine);
+  const theirRanges = changeRanges(base, theirs);
+  const chunks = [];
+  let pos = 0;
+  let i = 0;
+  let j = 0;
+
+  while (i < mineRanges.length || j < theirRanges.length) {
+    // Start a group at the earliest pending change, then absorb every change touching it
+    const takeMine = j >= theirRanges.length ||
+      (i < mineRanges.length && mineRanges[i].start <= theirRanges[j].start);
+    const groupMine = [];
+    const groupTheirs = [];
+    const start = takeMine ? mineRanges[i].start : theirRanges[j].start;
+    let end = start;
+    let extended = true;
+
+    while (extended) {
+      extended = false;
+      while (i < mineRanges.length && mineRanges[i].start <= end) {
+        end = Math.max(end, mineRanges[i].end);
+        groupMine.push(mineRanges[i++]);
+        extended = true;
+      }
+      while (j < theirRanges.length && theirRanges[j].start <= end) {
+        end = Math.max(end, theirRanges[j].end);
+        groupTheirs.push(theirRanges[j++]);
+        extended = true;
+      }
+    }
+
+    if (pos < start) {
+      chunks.push({ type: 'ok', source: 'base', lines: base.slice(pos, start) });
+    }
+
+    const mineLines = applyRanges(base, groupMine, start, end);
+    const theirLines = applyRanges(base, groupTheirs, start, end);
+
+    if (groupTheirs.length === 0) {
+      chunks.push({ type: 'ok', source: 'mine', lines: mineLines });
+    } else if (groupMine.length === 0) {
+      chunks.push({ type: 'ok', source: 'theirs', lines: theirLines });
+    } else if (mineLines.join('\n') === theirLines.join('\n')) {
+      chunks.push({ type: 'ok', source: 'both', lines: mineLines });
+    } else {
+      chunks.push({
+        type: 'conflict',
+        base: base.slice(start, end),
+        mine: mineLines,
+        theirs: theirLines,
+        resolution: null
+      });
+    }
+    pos = end;
+  }
+
+  if (pos < base.length) {
+    chunks.push({ type: 'ok', source: 'base', lines: base.slice(pos) });
+  }
+
+  return chunks;
+}
+
+// Switch the window into merge mode for the data sent by main
+function startMerge(data) {
+  mergeMode = true;
+  readOnly = false;
+  document.body.classList.remove('read-only');
+  document.body.classList.add('merge-mode');
+
+  titlebarText.textContent = `Merge Changes - ${data.fileName}`;
+  currentTitle.textContent = 'Merged result';
+  finalizeBtn.textContent = 'Apply Merge';
+
+  mergeChunks = mergeLines(data.base.split('\n'), data.mine.split('\n'), data.theirs.split('\n'));
+  mergeConflicts = [];
+  mergeChunks.forEach((chunk, index) => {
+    if (chunk.type === 'conflict') mergeConflicts.push(index);
+  });
+  currentConflict = mergeConflicts.length > 0 ? 0 : -1;
+
+  const autoMerged = mergeChunks.filter(chunk => chunk.source === 'theirs').length;
+  summaryTitle.textContent = 'This file was changed on disk while you were editing:';
+  removedSummary.innerHTML = `<strong>${mergeConflicts.length}</strong> conflict${mergeConflicts.length === 1 ? '' : 's'} need your decision`;
+  addedSummary.innerHTML = `<strong>${autoMerged}</strong> change${autoMerged === 1 ? '' : 's'} from disk merged automatically`;
+
+  renderMerge();
+  goToConflict(currentConflict);
+}
+
+// Render merged text with conflict blocks into the left pane
+function renderMerge() {
+  const html = [];
+  const renderLines = (lines, cssClass) => lines.map(line =>
+    `<div class="diff-line ${cssClass}"><span class="line-text">${escapeHtml(line)}</span></div>`
+  ).join('');
+
+  mergeChunks.forEach((chunk, index) => {
+    if (chunk.type === 'ok') {
+      // Highlight what came in from disk; the user's own edits look like normal text
+      html.push(renderLines(chunk.lines, chunk.source === 'theirs' ? 'from-disk' : 'unchanged'));
+      return;
+    }
+
+    const n = mergeConflicts.indexOf(index);
+    const choice = (value, label) =>
+      `<button class="conflict-btn${chunk.resolution === value ? ' active' : ''}" data-conflict="${n}" data-choice="${value}">${label}</button>`;
+    const empty = '<div class="diff-line unchanged"><span class="line-text conflict-empty">(lines deleted)</span></div>';
+
+    html.push(`
+      <div class="merge-conflict${chunk.resolution ? ' resolved' : ''}" data-conflict="${n}">
+        <div class="conflict-header">
+          <span class="conflict-label">Conflict ${n + 1}</span>
+          ${choice('mine', 'Keep mine')}
+          ${choice('theirs', 'Use disk')}
+          ${choice('both', 'Keep both')}
+        </div>
+        <div class="conflict-side mine${chunk.resolution === 'theirs' ? ' rejected' : ''}">
+          <div class="conflict-side-label">Your edits</div>
+          ${chunk.mine.length > 0 ? renderLines(chunk.mine, 'removed') : empty}
+        </div>
+        <div class="conflict-side theirs${chunk.resolution === 'mine' ? ' rejected' : ''}">
+          <div class="conflict-side-label">On disk</div>
+          ${chunk.theirs.length > 0 ? renderLines(chunk.theirs, 'added') : empty}
+        </div>
+      </div>
+    `);
+  });
+
+  currentContent.innerHTML = html.join('');
+
+  currentContent.querySelectorAll('.conflict-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      const n = parseInt(e.currentTarget.dataset.conflict);
+      mergeChunks[mergeConflicts[n]].resolution = e.currentTarget.dataset.choice;
+      renderMerge();
+      goToConflict(n, false);
+    });
+  });
+
+  updateMergeStatus();
+}
+
+// Move to a conflict, optionally scrolling it into view
+function goToConflict(n, scroll = true) {
+  currentContent.querySelectorAll('.merge-conflict.current').forEach(block => {
+    block.classList.remove('current');
+  });
+
+  if (mergeConflicts.length === 0) {
+    currentConflict = -1;
+    hunkPosition.textContent = 'No conflicts';
+    prevChangeBtn.disabled = true;
+    nextChangeBtn.disabled = true;
+    return;
+  }
+
+  currentConflict = Math.max(0, Math.min(n, mergeConflicts.length - 1));
+  hunkPosition.textContent = `Conflict ${currentConflict + 1} of ${mergeConflicts.length}`;
+  prevChangeBtn.disabled = false;
+  nextChangeBtn.disabled = false;
+
+  const block = currentContent.querySelector(`.merge-conflict[data-conflict="${currentConflict}"]`);
+  if (block) {
+    block.classList.add('current');
+    if (scroll) block.scrollIntoView({ block: 'center' });
+  }
+}
+
+// Show how many conflicts are left and enable Apply once all are resolved
+function updateMergeStatus() {
+  const unresolved = mergeConflicts.filter(index => !mergeChunks[index].resolution).length;
+
+  if (unresolved === 0) {
+    selectionCount.textContent = mergeConflicts.length > 0 ? 'All conflicts resolved' : 'No conflicts, changes merge cleanly';
+    finalizeBtn.disabled = false;
+  } else {
+    selectionCount.textContent = `${unresolved} conflict${unresolved > 1 ? 's' : ''} left to resolve`;
+    finalizeBtn.disabled = true;
+  }
+}
+
+// Join the merge chunks into the final text
+function buildMergedContent() {
+  const lines = [];
+  mergeChunks.forEach(chunk => {
+    if (chunk.type === 'ok') {
+      lines.push(...chunk.lines);
+    } else if (chunk.resolution === 'mine') {
+      lines.push(...chunk.mine);
+    } else if (chunk.resolution === 'theirs') {
+      lines.push(...chunk.theirs);
+    } else {
+      lines.push(...chunk.mine, ...chunk.theirs);
+    }
+  });
+  return lines.join('\n');
+}
+
 // Setup synchronized scrolling
 function setupScrollSync() {
   let isCurrentScrolling = false;
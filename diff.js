@@ -0,0 +1,249 @@
+/**
+ * diff.js - Shared diff algorithm
+ *
+ * Plain Node module (no Electron APIs) so it can be required from both the
+ * main process (crash recovery summaries, backup deltas) and the compare window (compare.js).
+ */
+
+/**
+ * Compute the shortest edit script between two arrays using Myers' algorithm
+ *
+ * Works on any arrays of strings (lines, words or characters). Common prefix
+ * and suffix are trimmed first since most edits touch a small part of the file.
+ *
+ * Time and memory grow with the square of the number of edits, so callers
+ * that can do without a diff (backup deltas) pass maxEdits to give up early.
+ *
+ * @param {string[]} a - Original items
+ * @param {string[]} b - Target items
+ * @param {number} maxEdits - Give up past this many inserted plus deleted items
+ * @returns {Array<{op: string, aIndex: number, bIndex: number}>|null} Edit script where
+ *   op is 'equal', 'delete' (only in a) or 'insert' (only in b); null past maxEdits
+ */
+function myersDiff(a, b, maxEdits = Infinity) {
+  const edits = [];
+
+  // Trim common prefix and suffix
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  for (let i = 0; i < prefix; i++) {
+    edits.push({ op: 'equal', aIndex: i, bIndex: i });
+  }
+
+  const n = a.length - prefix - suffix;
+  const m = b.length - prefix - suffix;
+  const middle = [];
+  if (Math.abs(n - m) > maxEdits) return null;
+
+  if (n === 0) {
+    for (let j = 0; j < m; j++) middle.push({ op: 'insert', aIndex: prefix, bIndex: prefix + j });
+  } else if (m === 0) {
+    for (let i = 0; i < n; i++) middle.push({ op: 'delete', aIndex: prefix + i, bIndex: prefix });
+  } else {
+    // Forward pass: v[k] holds the furthest x reached on diagonal k.
+    // Only the live part of v is kept per step, so memory is O(D^2) not O(D*N).
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    let found = false;
+
+    for (let d = 0; d <= max && !found; d++) {
+      if (d > maxEdits) return null;
+      trace.push(v.slice(offset - d, offset + d + 1));
+      for (let k = -d; k <= d; k += 2) {
+        let x;
+        if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+          x = v[offset + k + 1];
+        } else {
+          x = v[offset + k - 1] + 1;
+        }
+        let y = x - k;
+        while (x < n && y < m && a[prefix + x] === b[prefix + y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          found = true;
+          break;
+        }
+      }
+    }
+
+    // Backtrack through the saved snapshots to recover the path
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+      const prev = trace[d];
+      const at = (k) => prev[k + d];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+      const prevX = at(prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        x--;
+        y--;
+        middle.push({ op: 'equal', aIndex: prefix + x, bIndex: prefix + y });
+      }
+      if (prevK === k + 1) {
+        y--;
+        middle.push({ op: 'insert', aIndex: prefix + x, bIndex: prefix + y });
+      } else {
+        x--;
+        middle.push({ op: 'delete', aIndex: prefix + x, bIndex: prefix + y });
+      }
+      x = prevX;
+      y = prevY;
+    }
+    while (x > 0 && y > 0) {
+      x--;
+      y--;
+      middle.push({ op: 'equal', aIndex: prefix + x, bIndex: prefix + y });
+    }
+    middle.reverse();
+  }
+
+  edits.push(...middle);
+
+  for (let i = 0; i < suffix; i++) {
+    edits.push({ op: 'equal', aIndex: a.length - suffix + i, bIndex: b.length - suffix + i });
+  }
+
+  return edits;
+}
+
+/**
+ * Summarize the line changes between two texts
+ *
+ * @param {string} oldText - Text before (e.g. the file on disk)
+ * @param {string} newText - Text after (e.g. the unsaved buffer)
+ * @param {number} previewLimit - Maximum number of changed lines to return
+ * @returns {{added: number, removed: number, preview: string[]}} Counts plus
+ *   the first changed lines prefixed with "+ " or "- "
+ */
+function summarizeLineChanges(oldText, newText, previewLimit = 3) {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+  const summary = { added: 0, removed: 0, preview: [] };
+
+  myersDiff(oldLines, newLines).forEach(edit => {
+    if (edit.op === 'equal') return;
+
+    const isInsert = edit.op === 'insert';
+    if (isInsert) {
+      summary.added++;
+    } else {
+      summary.removed++;
+    }
+    if (summary.preview.length < previewLimit) {
+      const line = isInsert ? newLines[edit.bIndex] : oldLines[edit.aIndex];
+      summary.preview.push(`${isInsert ? '+' : '-'} ${line}`);
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * How alike two texts are, by the lines they share
+ *
+ * Cheap (no diff), for telling whether two texts are versions of the same
+ * document: unrelated notes score near 0, successive saves near 1.
+ *
+ * @returns {number} Dice coefficient of the sets of non-blank lines, 0 to 1
+ */
+function lineSimilarity(aText, bText) {
+  const toSet = text => new Set(text.split('\n').map(line => line.trim()).filter(line => line));
+  const a = toSet(aText);
+  const b = toSet(bText);
+  if (a.size === 0 && b.size === 0) return 1;
+
+  let shared = 0;
+  a.forEach(line => {
+    if (b.has(line)) shared++;
+  });
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Encode a text as line edits to another text
+ *
+ * Used for delta-compressed backups: an older version is stored as the edits
+ * that turn the next newer version back into it.
+ *
+ * @param {string} baseText - Text the delta applies to
+ * @param {string} targetText - Text the delta produces
+ * @param {number} maxEdits - Give up past this many changed lines (see myersDiff)
+ * @returns {Array<number|string[]>|null} Ops in order: a positive number copies that
+ *   many base lines, a negative number skips that many, an array inserts its lines;
+ *   null if the texts differ in more than maxEdits lines
+ */
+function createLineDelta(baseText, targetText, maxEdits = Infinity) {
+  const base = baseText.split('\n');
+  const target = targetText.split('\n');
+  const edits = myersDiff(base, target, maxEdits);
+  if (!edits) return null;
+  const ops = [];
+
+  edits.forEach(edit => {
+    const last = ops[ops.length - 1];
+    if (edit.op === 'equal') {
+      if (typeof last === 'number' && last > 0) {
+        ops[ops.length - 1]++;
+      } else {
+        ops.push(1);
+      }
+    } else if (edit.op === 'delete') {
+      if (typeof last === 'number' && last < 0) {
+        ops[ops.length - 1]--;
+      } else {
+        ops.push(-1);
+      }
+    } else if (Array.isArray(last)) {
+      last.push(target[edit.bIndex]);
+    } else {
+      ops.push([target[edit.bIndex]]);
+    }
+  });
+
+  return ops;
+}
+
+/**
+ * Rebuild a text from its base and a createLineDelta() result
+ *
+ * @param {string} baseText - Same base the delta was created from
+ * @param {Array<number|string[]>} ops - The delta
+ * @returns {string} The target text
+ */
+function applyLineDelta(baseText, ops) {
+  const base = baseText.split('\n');
+  const result = [];
+  let baseIndex = 0;
+
+  ops.forEach(op => {
+    if (Array.isArray(op)) {
+      op.forEach(line => result.push(line));
+    } else if (op > 0) {
+      for (let i = 0; i < op; i++) {
+        result.push(base[baseIndex++]);
+      }
+    } else {
+      baseIndex -= op;
+    }
+  });
+
+  return result.join('\n');
+}
+
+module.exports = { myersDiff, summarizeLineChanges, lineSimilarity, createLineDelta, applyLineDelta };
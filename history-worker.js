@@ -0,0 +1,32 @@
+/**
+ * history-worker.js - Backup delta compaction
+ *
+ * Runs in a worker thread started by main.js after a backup is saved, so
+ * diffing a long note against its previous backup never blocks the main
+ * process. New files are only written under temporary names; main.js checks
+ * the plan against the history as it is by then (applyCompaction).
+ *
+ * workerData: { versionDir, metadata, ext }
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { planCompaction, removeCompactionTempFiles } = require('./history');
+
+function runCompaction() {
+  const { versionDir, metadata, ext } = workerData;
+
+  try {
+    removeCompactionTempFiles(versionDir);
+    const changes = planCompaction(versionDir, metadata, ext);
+    parentPort.postMessage({ type: 'done', changes });
+  } catch (err) {
+    try {
+      removeCompactionTempFiles(versionDir);
+    } catch (cleanupErr) {
+      // The folder is gone (e.g. the history was moved), nothing to clean up
+    }
+    parentPort.postMessage({ type: 'error', message: err.message });
+  }
+}
+
+runCompaction();
@@ -0,0 +1,390 @@
+/**
+ * history.js - Backup folder metadata and delta storage
+ *
+ * Plain Node module (no Electron APIs) so the backup system in main.js and
+ * the compaction worker (history-worker.js) share it, and it can be tested on
+ * its own. A history folder holds the backup files (v001.md, v002.delta, ...)
+ * and a metadata.json listing them; these helpers read, repair and number them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { createLineDelta, applyLineDelta } = require('./diff');
+
+const VERSION_KEYFRAME_INTERVAL = 20; // Longest run of delta-stored backups before a full copy
+const MAX_DELTA_EDITS = 2000; // Changed lines past which a backup is kept as a full copy
+const MAX_DELTA_RATIO = 0.8; // Keep a full copy if the delta is nearly as large as the text
+
+// Calculate MD5 hash of file content
+function getFileHash(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+// Get metadata file path
+function getMetadataPath(versionDir) {
+  return path.join(versionDir, 'metadata.json');
+}
+
+// Load version metadata, repairing it if it doesn't match the backup files
+function loadVersionMetadata(versionDir) {
+  const metadataPath = getMetadataPath(versionDir);
+  let metadata = { versions: [] };
+  try {
+    if (fs.existsSync(metadataPath)) {
+      const data = fs.readFileSync(metadataPath, 'utf-8');
+      metadata = JSON.parse(data);
+    }
+  } catch (err) {
+    console.error('Error loading version metadata:', err);
+  }
+
+  if (fs.existsSync(versionDir) && repairVersionMetadata(versionDir, metadata)) {
+    saveVersionMetadata(versionDir, metadata);
+  }
+  return metadata;
+}
+
+// "v012" -> 12
+function parseVersionNumber(versionId) {
+  const match = /^v(\d+)$/.exec(versionId);
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+// Take the next backup id from the counter. Ids are never reused, even after
+// older backups are pruned (caller saves the metadata)
+function allocateVersionId(metadata) {
+  const number = metadata.nextVersion || 1;
+  metadata.nextVersion = number + 1;
+  return `v${String(number).padStart(3, '0')}`;
+}
+
+/**
+ * Make metadata.json agree with the backup files in its folder
+ *
+ * Older versions named backups after the number of versions, so after pruning
+ * a new backup could reuse an existing id, overwriting its file and leaving two
+ * entries with that id. This:
+ * - drops entries whose backup file is missing
+ * - keeps one entry per id: the one matching the file's content
+ * - adds entries for backup files metadata doesn't list (trigger 'recovered')
+ * - makes nextVersion higher than every id in use
+ *
+ * @param {string} versionDir - History folder
+ * @param {Object} metadata - Loaded metadata, modified in place
+ * @returns {boolean} Whether anything was changed
+ */
+function repairVersionMetadata(versionDir, metadata) {
+  const files = new Map(); // version id -> file name, preferring the full copy
+  const deltas = new Set(); // version ids with a .delta file
+  fs.readdirSync(versionDir).forEach(name => {
+    const match = name.match(/^(v\d+)(\.[^.]*)?$/);
+    if (!match) return;
+    if (match[2] === '.delta') {
+      deltas.add(match[1]);
+      if (!files.has(match[1])) files.set(match[1], name);
+    } else {
+      files.set(match[1], name);
+    }
+  });
+
+  const readHash = versionId => {
+    try {
+      return getFileHash(fs.readFileSync(path.join(versionDir, files.get(versionId)), 'utf-8'));
+    } catch (err) {
+      return null;
+    }
+  };
+
+  let changed = false;
+  const versions = Array.isArray(metadata.versions) ? metadata.versions : [];
+  const byId = new Map();
+  versions.forEach(version => {
+    if (!files.has(version.id)) {
+      changed = true; // Backup file is gone
+      return;
+    }
+    if (version.storage === 'delta' && !deltas.has(version.id)) {
+      // Interrupted while rewriting it as a full copy, which is there
+      delete version.storage;
+      delete version.base;
+      changed = true;
+    } else if (version.storage !== 'delta' && files.get(version.id).endsWith('.delta')) {
+      changed = true; // Only a delta with nothing saying what it's based on
+      return;
+    }
+    const existing = byId.get(version.id);
+    if (!existing) {
+      byId.set(version.id, version);
+      return;
+    }
+    // Same id twice: the file holds one of them, the other was overwritten
+    changed = true;
+    if (version.hash === readHash(version.id)) {
+      byId.set(version.id, version);
+    }
+  });
+
+  files.forEach((name, versionId) => {
+    // A delta can't be rebuilt without the metadata that says what it's based on
+    if (byId.has(versionId) || name.endsWith('.delta')) return;
+    try {
+      const versionFile = path.join(versionDir, name);
+      const content = fs.readFileSync(versionFile, 'utf-8');
+      byId.set(versionId, {
+        id: versionId,
+        timestamp: fs.statSync(versionFile).mtime.toISOString(),
+        size: Buffer.byteLength(content, 'utf-8'),
+        words: content.trim().split(/\s+/).length,
+        lines: content.split('\n').length,
+        hash: getFileHash(content),
+        trigger: 'recovered'
+      });
+      changed = true;
+    } catch (err) {
+      console.error('Error recovering backup entry:', err);
+    }
+  });
+
+  if (changed) {
+    metadata.versions = Array.from(byId.values())
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || parseVersionNumber(a.id) - parseVersionNumber(b.id));
+  }
+
+  const highest = Math.max(0, ...Array.from(files.keys()).map(parseVersionNumber));
+  if (!(metadata.nextVersion > highest)) {
+    metadata.nextVersion = highest + 1;
+    changed = true;
+  }
+
+  return changed;
+}
+
+// Save version metadata
+function saveVersionMetadata(versionDir, metadata) {
+  const metadataPath = getMetadataPath(versionDir);
+  try {
+    // Ensure directory exists
+    if (!fs.existsSync(versionDir)) {
+      fs.mkdirSync(versionDir, { recursive: true });
+    }
+    fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2), 'utf-8');
+  } catch (err) {
+    console.error('Error saving version metadata:', err);
+  }
+}
+
+// ==========================================
+// Delta-Compressed Storage
+// ==========================================
+// The newest backup is always a full copy (v012.md). Older ones are stored as
+// reverse deltas: v011.delta holds the gzipped line edits (diff.js) that turn
+// v012 back into v011, and metadata marks it {storage: 'delta', base: 'v012'}.
+// Reading a backup starts at the nearest full copy newer than it and applies
+// deltas backwards. Every VERSION_KEYFRAME_INTERVAL-th backup stays a full
+// copy, so no backup is more than that many steps from one, and so does any
+// backup too different from the next for a delta to pay off. Entries without
+// a storage field are full copies, so folders from older versions still read
+// fine and are converted after their next backup.
+
+function getDeltaPath(versionDir, versionId) {
+  return path.join(versionDir, `${versionId}.delta`);
+}
+
+// Compaction writes here first; the names don't match the backup file pattern
+function getCompactionTempPath(versionDir, fileName) {
+  return path.join(versionDir, `tmp-${fileName}`);
+}
+
+/**
+ * Read a backup's content, rebuilding it from deltas if needed
+ *
+ * @param {string} versionDir - History folder
+ * @param {Object} metadata - Its metadata
+ * @param {string} versionId - Backup to read
+ * @param {string} ext - Extension of full copies (the note's)
+ * @returns {string} The backup's content; throws if a file it needs is missing
+ *   or the result doesn't match the hash recorded when it was made
+ */
+function readVersionContent(versionDir, metadata, versionId, ext) {
+  const byId = new Map(metadata.versions.map(version => [version.id, version]));
+  const target = byId.get(versionId);
+  if (!target) {
+    throw new Error(`Backup ${versionId} is not in this history`);
+  }
+
+  const chain = [];
+  let version = target;
+  while (version && version.storage === 'delta') {
+    if (chain.length > metadata.versions.length) {
+      throw new Error(`Backup ${versionId} is damaged: its deltas form a loop`);
+    }
+    chain.push(version);
+    version = byId.get(version.base);
+  }
+  if (!version) {
+    throw new Error(`Backup ${versionId} is damaged: the backup it's stored against is gone`);
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(path.join(versionDir, `${version.id}${ext}`), 'utf-8');
+    for (let i = chain.length - 1; i >= 0; i--) {
+      const delta = JSON.parse(zlib.gunzipSync(fs.readFileSync(getDeltaPath(versionDir, chain[i].id))).toString('utf-8'));
+      content = applyLineDelta(content, delta.ops);
+    }
+  } catch (err) {
+    throw new Error(`Backup ${versionId} is damaged: ${err.code === 'ENOENT' ? 'a backup file is missing' : err.message}`);
+  }
+
+  if (target.hash && getFileHash(content) !== target.hash) {
+    throw new Error(`Backup ${versionId} is damaged: its content doesn't match the one saved`);
+  }
+  return content;
+}
+
+/**
+ * Work out how to bring a history to its compact form, writing the new files
+ * under temporary names (run in history-worker.js)
+ *
+ * Every backup but the newest becomes a delta against the next newer one,
+ * with a full copy at least every VERSION_KEYFRAME_INTERVAL backups.
+ * Keyframes are the backups numbered a multiple of the interval, so adding or
+ * pruning backups doesn't move them. Where pruning has left a run too long
+ * to reach the next one, an existing full copy far enough from the last
+ * keyframe is kept as one, else a delta is written out in full. Nothing in the history
+ * itself is touched, so main can keep reading and writing it meanwhile.
+ *
+ * @param {string} versionDir - History folder
+ * @param {Object} metadata - Its metadata when compaction started
+ * @param {string} ext - Extension of full copies
+ * @returns {Array<{id: string, from: string, storage: string, base: string|undefined,
+ *   tempFile: string}>} One change per backup whose storage changes ('full' or 'delta')
+ */
+function planCompaction(versionDir, metadata, ext) {
+  const versions = metadata.versions;
+  const changes = [];
+  let run = 0; // Deltas between this backup and the next newer full copy
+  let newer = null; // { id, content } of the next newer backup, if it was read
+
+  for (let index = versions.length - 1; index >= 0; index--) {
+    const version = versions[index];
+    const base = versions[index + 1];
+    const isDelta = version.storage === 'delta';
+    let content = null;
+    const readContent = () => {
+      if (content === null) {
+        content = readVersionContent(versionDir, metadata, version.id, ext);
+      }
+      return content;
+    };
+
+    // Backups from here down to the next numbered keyframe, at most
+    const toNextKeyframe = parseVersionNumber(version.id) % VERSION_KEYFRAME_INTERVAL;
+    let isKeyframe = !base
+      || toNextKeyframe === 0
+      || run + 1 >= VERSION_KEYFRAME_INTERVAL
+      || (!isDelta && run * 2 >= VERSION_KEYFRAME_INTERVAL && run + toNextKeyframe >= VERSION_KEYFRAME_INTERVAL)
+      || (isDelta && version.base !== base.id);
+
+    if (!isKeyframe && !isDelta) {
+      const baseContent = newer && newer.id === base.id
+        ? newer.content
+        : readVersionContent(versionDir, metadata, base.id, ext);
+      const ops = createLineDelta(baseContent, readContent(), MAX_DELTA_EDITS);
+      const json = ops && JSON.stringify({ base: base.id, ops });
+      if (json && json.length < readContent().length * MAX_DELTA_RATIO) {
+        const tempFile = `${version.id}.delta`;
+        fs.writeFileSync(getCompactionTempPath(versionDir, tempFile), zlib.gzipSync(json));
+        changes.push({ id: version.id, from: 'full', storage: 'delta', base: base.id, tempFile });
+      } else {
+        isKeyframe = true; // Too different from the next backup, stays a full copy
+      }
+    }
+
+    if (isKeyframe) {
+      run = 0;
+      if (isDelta) {
+        const tempFile = `${version.id}${ext}`;
+        fs.writeFileSync(getCompactionTempPath(versionDir, tempFile), readContent(), 'utf-8');
+        changes.push({ id: version.id, from: 'delta', storage: 'full', tempFile });
+      }
+    } else {
+      run++;
+    }
+
+    newer = content === null ? null : { id: version.id, content };
+  }
+
+  return changes;
+}
+
+// Remove temporary files left by a compaction that never finished
+function removeCompactionTempFiles(versionDir) {
+  fs.readdirSync(versionDir).forEach(name => {
+    if (name.startsWith('tmp-')) {
+      fs.rmSync(path.join(versionDir, name), { force: true });
+    }
+  });
+}
+
+/**
+ * Apply a planCompaction() result to the history as it is now
+ *
+ * Backups may have been added, pruned or rebased while the plan was made, so
+ * each change is checked against current metadata: the backup must still be
+ * stored the way the plan found it, and a delta's base must still exist.
+ * Files are moved into place and metadata saved before the files they
+ * replace are removed, so an interruption never leaves a backup unreadable.
+ *
+ * @returns {Object} The updated metadata
+ */
+function applyCompaction(versionDir, ext, changes) {
+  const metadata = loadVersionMetadata(versionDir);
+  const byId = new Map(metadata.versions.map(version => [version.id, version]));
+  const obsolete = [];
+
+  changes.forEach(change => {
+    const tempPath = getCompactionTempPath(versionDir, change.tempFile);
+    const version = byId.get(change.id);
+    const storage = version && version.storage === 'delta' ? 'delta' : 'full';
+    const valid = version && storage === change.from && (change.storage === 'full' || byId.has(change.base));
+    if (!valid) {
+      fs.rmSync(tempPath, { force: true });
+      return;
+    }
+
+    fs.renameSync(tempPath, path.join(versionDir, change.tempFile));
+    if (change.storage === 'delta') {
+      version.storage = 'delta';
+      version.base = change.base;
+      obsolete.push(path.join(versionDir, `${version.id}${ext}`));
+    } else {
+      delete version.storage;
+      delete version.base;
+      obsolete.push(getDeltaPath(versionDir, version.id));
+    }
+  });
+
+  if (obsolete.length > 0) {
+    saveVersionMetadata(versionDir, metadata);
+    obsolete.forEach(file => fs.rmSync(file, { force: true }));
+  }
+  return metadata;
+}
+
+module.exports = {
+  getFileHash,
+  getMetadataPath,
+  loadVersionMetadata,
+  saveVersionMetadata,
+  parseVersionNumber,
+  allocateVersionId,
+  repairVersionMetadata,
+  getDeltaPath,
+  readVersionContent,
+  planCompaction,
+  removeCompactionTempFiles,
+  applyCompaction
+};
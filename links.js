@@ -0,0 +1,309 @@
+/**
+ * links.js - Shared note link and tag helpers
+ *
+ * Plain Node module (no Electron APIs) so the main process (workspace note
+ * index, backlinks, tags) and the renderer (wikilinks and hashtags in the
+ * preview) read notes the same way.
+ */
+
+// #tag or #nested/tag, as rendered by the hashtag extension in renderer.js
+const HASHTAG_PATTERN = '#([a-zA-Z0-9_-]+(?:\\/[a-zA-Z0-9_-]+)*)';
+
+// "My Note", "my-note" and "my_note" all name the same note
+function normalizeNoteName(name) {
+  return name.toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+}
+
+function stripNoteExtension(filePath) {
+  return filePath.replace(/\.(md|markdown)$/i, '');
+}
+
+function getDirectory(filePath) {
+  return filePath.replace(/[\\/][^\\/]*$/, '');
+}
+
+/**
+ * Split a wikilink target into note and heading ("Note#Heading")
+ *
+ * @param {string} page - Target as written inside [[...]], without |text
+ * @returns {{target: string, heading: string|null}} target is '' for [[#Heading]]
+ */
+function splitWikilinkTarget(page) {
+  const hashIndex = page.indexOf('#');
+  if (hashIndex === -1) {
+    return { target: page.trim(), heading: null };
+  }
+  return {
+    target: page.slice(0, hashIndex).trim(),
+    heading: page.slice(hashIndex + 1).trim() || null
+  };
+}
+
+/**
+ * Find the note a wikilink target refers to
+ *
+ * A target with a folder ("projects/alpha") matches the end of the path,
+ * otherwise file names are preferred over aliases, then notes in the
+ * linking note's folder, then the shortest path.
+ *
+ * @param {Array<{path: string, name: string, aliases: string[]}>} notes - Workspace notes
+ * @param {string} target - Note part of the link (no #heading)
+ * @param {string|null} fromPath - Note the link is in
+ * @returns {Object|null} The matching note, or null if there is none
+ */
+function findNoteForTarget(notes, target, fromPath) {
+  const wanted = normalizeNoteName(stripNoteExtension(target).replace(/\\/g, '/'));
+  const hasFolder = /[\\/]/.test(target);
+  let best = null;
+  let bestScore = -1;
+
+  notes.forEach(note => {
+    let score;
+    if (hasFolder) {
+      const notePath = normalizeNoteName(stripNoteExtension(note.path).replace(/\\/g, '/'));
+      if (!notePath.endsWith(`/${wanted}`)) return;
+      score = 2;
+    } else if (normalizeNoteName(note.name) === wanted) {
+      score = 2;
+    } else if (note.aliases.some(alias => normalizeNoteName(alias) === wanted)) {
+      score = 1;
+    } else {
+      return;
+    }
+
+    if (fromPath && getDirectory(note.path) === getDirectory(fromPath)) {
+      score += 0.5;
+    }
+
+    if (score > bestScore || (score === bestScore && note.path.length < best.path.length)) {
+      best = note;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Index notes by their normalized names and aliases
+ *
+ * For resolving many links at once (backlinks): findNoteInLookup() then only
+ * looks at the few notes a target can match instead of every note.
+ *
+ * @param {Array<{path: string, name: string, aliases: string[]}>} notes - Workspace notes
+ * @returns {Map<string, Object[]>} Normalized name or alias -> notes
+ */
+function createNoteLookup(notes) {
+  const lookup = new Map();
+  const add = (key, note) => {
+    if (!lookup.has(key)) lookup.set(key, []);
+    const list = lookup.get(key);
+    if (!list.includes(note)) list.push(note);
+  };
+
+  notes.forEach(note => {
+    add(normalizeNoteName(note.name), note);
+    note.aliases.forEach(alias => add(normalizeNoteName(alias), note));
+  });
+  return lookup;
+}
+
+// findNoteForTarget() over a createNoteLookup() index, with the same result.
+// A target with a folder can only match notes named like its last part
+function findNoteInLookup(lookup, target, fromPath) {
+  const name = target.split(/[\\/]/).pop();
+  const candidates = lookup.get(normalizeNoteName(stripNoteExtension(name))) || [];
+  return findNoteForTarget(candidates, target, fromPath);
+}
+
+/**
+ * Read a list value from a note's YAML frontmatter
+ *
+ * Handles the forms Obsidian writes: `key: value`, `key: [a, b]` and a
+ * `- item` list on the following lines. Not a YAML parser.
+ *
+ * @param {string} content - Note text
+ * @param {string[]} keys - Keys to read (e.g. ['aliases', 'alias'])
+ * @returns {string[]} Values found, in order
+ */
+function readFrontmatterList(content, keys) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/);
+  if (!match) return [];
+
+  const values = [];
+  const unquote = value => value.trim().replace(/^(["'])(.*)\1$/, '$2').trim();
+  const lines = match[1].split(/\r?\n/);
+
+  lines.forEach((line, index) => {
+    const keyMatch = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!keyMatch || !keys.includes(keyMatch[1].toLowerCase())) return;
+
+    const value = keyMatch[2].trim();
+    if (value.startsWith('[')) {
+      value.replace(/^\[|\]$/g, '').split(',').forEach(item => values.push(unquote(item)));
+    } else if (value) {
+      values.push(unquote(value));
+    } else {
+      for (let i = index + 1; i < lines.length; i++) {
+        const itemMatch = lines[i].match(/^\s*-\s+(.*)$/);
+        if (!itemMatch) break;
+        values.push(unquote(itemMatch[1]));
+      }
+    }
+  });
+
+  return values.filter(value => value.length > 0);
+}
+
+// The sentence of a line that contains text[start..end), for showing a link in context
+function getSentenceAround(line, start, end) {
+  let sentenceStart = 0;
+  const before = line.slice(0, start);
+  const boundary = /[.!?]\s+/g;
+  let match;
+  while ((match = boundary.exec(before)) !== null) {
+    sentenceStart = match.index + match[0].length;
+  }
+
+  boundary.lastIndex = end;
+  const after = boundary.exec(line);
+  const sentenceEnd = after ? after.index + 1 : line.length;
+
+  const sentence = line.slice(sentenceStart, sentenceEnd)
+    .replace(/^\s*(?:[-*+]|\d+[.)]|#{1,6}|>)\s+/, '') // List, heading or quote marker
+    .trim();
+  return sentence.length > 240 ? `${sentence.slice(0, 237)}...` : sentence;
+}
+
+/**
+ * Find the links in a note: [[wikilinks]] and relative [markdown](links)
+ *
+ * Fenced code blocks are skipped, as are images, external URLs and links
+ * to anchors in the same note.
+ *
+ * @param {string} content - Note text
+ * @returns {Array<{type: string, target: string, line: number, context: string}>}
+ *   type is 'wiki' (target = note part) or 'markdown' (target = decoded relative path),
+ *   line is 0-based
+ */
+function extractLinks(content) {
+  const links = [];
+  let inFence = false;
+
+  content.split(/\r?\n/).forEach((line, lineIndex) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    const wikilinkRegex = /\[\[([^\]|]+)(?:\|[^\]]+)?\]\]/g;
+    let match;
+    while ((match = wikilinkRegex.exec(line)) !== null) {
+      const { target } = splitWikilinkTarget(match[1]);
+      if (!target) continue; // [[#Heading]] in the same note
+      links.push({
+        type: 'wiki',
+        target: target,
+        line: lineIndex,
+        context: getSentenceAround(line, match.index, match.index + match[0].length)
+      });
+    }
+
+    const markdownLinkRegex = /(!?)\[[^\]]*\]\(<?([^)\s>]+)>?(?:\s+"[^"]*")?\)/g;
+    while ((match = markdownLinkRegex.exec(line)) !== null) {
+      const url = match[2];
+      if (match[1] || url.startsWith('#') || /^[a-z][\w+.-]*:/i.test(url)) continue;
+
+      let target = url.split('#')[0];
+      try {
+        target = decodeURI(target);
+      } catch (err) {
+        // Malformed escapes, use the link as written
+      }
+      links.push({
+        type: 'markdown',
+        target: target,
+        line: lineIndex,
+        context: getSentenceAround(line, match.index, match.index + match[0].length)
+      });
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Find a note's tags: inline #hashtags plus `tags:` in the frontmatter
+ *
+ * Fenced code blocks and inline code are skipped. Tags keep their nesting
+ * ("proj/alpha") and are returned once each, without the leading #.
+ *
+ * @param {string} content - Note text
+ * @returns {string[]} Tags in order of first appearance
+ */
+function extractTags(content) {
+  const tags = [];
+  const addTag = tag => {
+    const cleaned = tag.replace(/^#/, '').trim();
+    if (cleaned && !tags.some(existing => existing.toLowerCase() === cleaned.toLowerCase())) {
+      tags.push(cleaned);
+    }
+  };
+
+  // "tags: a, b" and "tags: a b" are both used for a single-line value
+  readFrontmatterList(content, ['tags', 'tag']).forEach(value => {
+    value.split(/[,\s]+/).forEach(addTag);
+  });
+
+  const body = content.replace(/^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/, '');
+  const hashtagRegex = new RegExp(`(^|[\\s(])${HASHTAG_PATTERN}(?=[\\s.,;!?)]|$)`, 'g');
+  let inFence = false;
+
+  body.split(/\r?\n/).forEach(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    const text = line.replace(/`[^`]*`/g, '');
+    let match;
+    while ((match = hashtagRegex.exec(text)) !== null) {
+      addTag(match[2]);
+    }
+  });
+
+  return tags;
+}
+
+/**
+ * What the workspace index keeps of a note
+ *
+ * @param {string} filePath - Note path
+ * @param {string} content - Note text
+ * @returns {{path: string, name: string, aliases: string[], links: Array, tags: string[]}}
+ *   name is the file name without extension
+ */
+function createNoteIndexEntry(filePath, content) {
+  return {
+    path: filePath,
+    name: stripNoteExtension(filePath.split(/[\\/]/).pop()),
+    aliases: readFrontmatterList(content, ['aliases', 'alias']),
+    links: extractLinks(content),
+    tags: extractTags(content)
+  };
+}
+
+module.exports = {
+  HASHTAG_PATTERN,
+  normalizeNoteName,
+  splitWikilinkTarget,
+  findNoteForTarget,
+  createNoteLookup,
+  findNoteInLookup,
+  readFrontmatterList,
+  extractLinks,
+  extractTags,
+  createNoteIndexEntry
+};
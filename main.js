@@ -15,9 +15,22 @@
  * to renderer processes via IPC (Inter-Process Communication).
  */
 
-const { app, BrowserWindow, ipcMain, dialog, Menu, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Menu, shell, screen } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const { Worker } = require('worker_threads');
+const { summarizeLineChanges, lineSimilarity } = require('./diff');
+const { createNoteLookup, findNoteInLookup, createNoteIndexEntry } = require('./links');
+const {
+  getFileHash,
+  loadVersionMetadata,
+  getMetadataPath,
+  saveVersionMetadata,
+  allocateVersionId,
+  getDeltaPath,
+  readVersionContent,
+  applyCompaction
+} = require('./history');
 
 // ==========================================
 // Global State
@@ -30,13 +43,24 @@ const windows = new Map(); // Map of window.id -> window state
 // {
 //   window: BrowserWindow,
 //   compareWindow: BrowserWindow or null,
+//   compareRequest: object or null (what the compare window shows),
+//   tabs: array of tab records (see TAB_DOCUMENT_FIELDS),
+//   activeTabId: number,
+//   nextTabId: number,
 //   currentFilePath: string or null,
+//   diskContent: string or null (file text as last loaded/saved),
 //   lastSaveTime: number or null,
 //   hasUnsavedChanges: boolean,
 //   autosaveEnabled: boolean,
 //   autosaveTimer: timer or null,
-//   titleUpdateTimer: timer or null
+//   titleUpdateTimer: timer or null,
+//   recoveryId: string (name of the active tab's crash recovery journal),
+//   recoveryTimer: timer or null,
+//   sessionState: object or null (mode, cursor, scroll, sidebars, workspace reported by the renderer)
 // }
+//
+// The document fields (currentFilePath through recoveryId) always describe
+// the active tab. Background tabs keep their own copy in their tab record.
 
 // Shared state (across all windows)
 let recentFiles = [];            // Array of recently opened file paths
@@ -46,19 +70,34 @@ let autosavePersistent = false;  // Whether autosave setting persists across ses
 let defaultStartupMode = 'editor'; // Default mode on startup: 'editor', 'writing', or 'reader'
 let readerModeMargins = 'medium'; // Reader mode margin width: 'none', 'narrow', 'medium', 'wide', 'extra-wide'
 let minimapEnabled = false;      // Whether minimap is enabled
+let restoreSessionEnabled = true; // Reopen last session's windows on startup
+let isQuitting = false;          // Set in before-quit so closing windows don't overwrite the session
+let newNoteFilenameTemplate = '{{title}}'; // File name for notes created from wikilinks (processFilenameTemplate)
 
 // Backup system configuration
 let versioningEnabled = true;     // Enable/disable backup creation on save
-let versionsToKeep = 10;          // Maximum backups to keep per file
-let versionStorageMode = 'local'; // 'local' = .nthing-history/ folder next to file
+let versionsToKeep = 10;          // Maximum backups to keep per file ('count' retention)
+let versionRetention = {          // Which backups survive pruning, see selectVersionsToPrune()
+  mode: 'count',                  // 'count' = newest versionsToKeep, 'tiered' = grandfather-father-son
+  allHours: 1,                    // Tiered: keep everything this many hours old or newer
+  hourlyDays: 1,                  // then one per hour up to this many days old
+  dailyDays: 30,                  // then one per day up to this many days old
+  weeklyWeeks: 0                  // then one per week up to this many weeks old (0 = forever)
+};
+let versionStorageMode = 'local'; // 'local' = .nthing-history/ folder next to file, 'global' = one folder for all
 let versionGlobalPath = '';       // Path for global storage (if not using local)
+const legacyHistoryChecked = new Set(); // Files already matched against old by-name global folders
 let versionAutoCleanup = false;   // Auto-delete backups older than X days
 let versionCleanupDays = 30;      // Days before auto-cleanup kicks in
-const crypto = require('crypto'); // For MD5 hashing (backup deduplication)
+const crypto = require('crypto'); // Document ids and path hashes for backup folders
 
 // Persistent storage paths
 const recentFilesPath = path.join(app.getPath('userData'), 'recent-files.json');
 const settingsPath = path.join(app.getPath('userData'), 'settings.json');
+const recoveryDir = path.join(app.getPath('userData'), 'recovery');
+const RECOVERY_INTERVAL = 15 * 1000; // How often dirty buffers are journaled
+const sessionPath = path.join(app.getPath('userData'), 'session.json');
+const historyIndexPath = path.join(app.getPath('userData'), 'history-index.json'); // documentId -> backup folder
 
 // ==========================================
 // Window State Management Helper Functions
@@ -81,13 +120,41 @@ function createWindowState(win) {
   const state = {
     window: win,
     compareWindow: null,
+    compareRequest: null, // { left, right } sides shown in the compare window
+    tabs: [],
+    activeTabId: null,
+    nextTabId: 1,
     currentFilePath: null,
+    diskContent: null, // File text as last loaded or saved (base for external change detection)
+    watchedPath: null,
+    fileWatchListener: null,
+    externalChangePending: false,
+    pendingSaves: [], // Resolvers waiting on the result of the next save
     lastSaveTime: null,
     hasUnsavedChanges: false,
     autosaveEnabled: autosavePersistent,
     autosaveTimer: null,
-    titleUpdateTimer: null
+    titleUpdateTimer: null,
+    recoveryId: null, // Set by the first tab
+    recoveryTimer: null,
+    lastRecoveryHash: null, // Hash of the last journaled content, to skip identical writes
+    sessionState: null,
+    workspacePath: null, // Folder open in the file tree
+    fileTree: null, // buildFileTree() of workspacePath, as last sent to the renderer
+    noteIndex: new Map(), // Workspace notes by path, for wikilinks, backlinks and tags
+    noteLookup: null,     // createNoteLookup() of noteIndex, built on first use after it changes
+    indexWorker: null, // Note index worker thread, while the workspace is being indexed
+    noteIndexUpdates: null, // Notes saved while indexWorker runs, path -> entry
+    searchWorker: null, // Find in Workspace worker thread, while a search runs
+    closeConfirming: false, // Asking about unsaved tabs before the window closes
+    closeConfirmed: false // Unsaved tabs were dealt with, let the window close
   };
+
+  // Every window starts with one empty tab
+  const firstTab = createTabRecord(state);
+  state.tabs.push(firstTab);
+  loadTab(state, firstTab);
+
   windows.set(win.id, state);
   return state;
 }
@@ -103,6 +170,16 @@ function destroyWindowState(win) {
     if (state.autosaveTimer) {
       clearInterval(state.autosaveTimer);
     }
+    if (state.recoveryTimer) {
+      clearInterval(state.recoveryTimer);
+    }
+    // Window closed normally, so its journals aren't needed for crash recovery
+    stashActiveTab(state);
+    state.tabs.forEach(removeRecoveryJournal);
+    unwatchCurrentFile(state);
+    stopWorkspaceSearch(state);
+    stopNoteIndexing(state);
+    finishPendingSaves(state, false);
     // Clean up compare window
     if (state.compareWindow && !state.compareWindow.isDestroyed()) {
       state.compareWindow.close();
@@ -163,6 +240,8 @@ function updateWindowTitle(win, unsaved = false) {
   if (win && !win.isDestroyed() && win.webContents) {
     try {
       win.webContents.send('update-title', titleText);
+      // The tab strip shows the same name and unsaved marker
+      sendTabList(win);
     } catch (err) {
       console.error('Error updating title:', err);
     }
@@ -244,6 +323,16 @@ function loadSettings() {
         minimapEnabled = settings.minimapEnabled;
       }
 
+      // Load session restore setting
+      if (settings.restoreSession !== undefined) {
+        restoreSessionEnabled = settings.restoreSession;
+      }
+
+      // Load file name template for notes created from wikilinks
+      if (settings.newNoteFilenameTemplate) {
+        newNoteFilenameTemplate = settings.newNoteFilenameTemplate;
+      }
+
       // Load versioning settings
       if (settings.versioning) {
         versioningEnabled = settings.versioning.enabled !== undefined ? settings.versioning.enabled : true;
@@ -252,6 +341,7 @@ function loadSettings() {
         versionGlobalPath = settings.versioning.globalPath || '';
         versionAutoCleanup = settings.versioning.autoCleanup || false;
         versionCleanupDays = settings.versioning.cleanupDays || 30;
+        versionRetention = { ...versionRetention, ...settings.versioning.retention };
       }
 
     }
@@ -275,11 +365,14 @@ function saveSettings() {
         storageMode: versionStorageMode,
         globalPath: versionGlobalPath,
         autoCleanup: versionAutoCleanup,
-        cleanupDays: versionCleanupDays
+        cleanupDays: versionCleanupDays,
+        retention: versionRetention
       },
       defaultStartupMode: defaultStartupMode,
       readerModeMargins: readerModeMargins,
-      minimapEnabled: minimapEnabled
+      minimapEnabled: minimapEnabled,
+      restoreSession: restoreSessionEnabled,
+      newNoteFilenameTemplate: newNoteFilenameTemplate
     };
     fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2), 'utf-8');
   } catch (err) {
@@ -380,12 +473,25 @@ function sendAutosaveStatus(win) {
 // FILE VERSIONING SYSTEM
 // ==============================================
 
-// Get the version directory path for a file
+/**
+ * Get the version directory path for a file
+ *
+ * Global storage keys each file's folder on a hash of its full path
+ * ("notes.md-1a2b3c4d5e6f"), so notes.md files from different projects keep
+ * separate histories. The first lookup for a file also claims its backups from
+ * the by-name folder older versions used (see claimLegacyGlobalHistory).
+ */
 function getVersionDir(filePath) {
   if (versionStorageMode === 'global' && versionGlobalPath) {
     // Global storage mode
-    const filename = path.basename(filePath);
-    return path.join(versionGlobalPath, filename);
+    const versionDir = path.join(versionGlobalPath, getGlobalHistoryName(filePath));
+    if (!legacyHistoryChecked.has(filePath)) {
+      legacyHistoryChecked.add(filePath);
+      if (!fs.existsSync(versionDir)) {
+        claimLegacyGlobalHistory(filePath, versionDir);
+      }
+    }
+    return versionDir;
   } else {
     // Local storage mode (default)
     const dir = path.dirname(filePath);
@@ -394,41 +500,109 @@ function getVersionDir(filePath) {
   }
 }
 
-// Calculate MD5 hash of file content
-function getFileHash(content) {
-  return crypto.createHash('md5').update(content).digest('hex');
+// Folder name for a file in global storage: readable name plus a hash of the full path
+function getGlobalHistoryName(filePath) {
+  let absolutePath = path.resolve(filePath);
+  if (process.platform === 'win32') {
+    absolutePath = absolutePath.toLowerCase(); // Same file whatever the casing
+  }
+  const pathHash = crypto.createHash('sha1').update(absolutePath).digest('hex').slice(0, 12);
+  return `${path.basename(filePath)}-${pathHash}`;
 }
 
-// Get metadata file path
-function getMetadataPath(versionDir) {
-  return path.join(versionDir, 'metadata.json');
-}
+/**
+ * Move a file's backups out of an old global folder shared by name
+ *
+ * Global storage used to be keyed on the file name alone, so every notes.md
+ * wrote into one folder and their backups are interleaved. Versions are split
+ * back into per-file histories by content: each joins the chain whose latest
+ * version it shares most lines with. The chain whose latest version is closest
+ * to the file as it is now is moved to the file's own folder (renumbered from
+ * v001); the rest stay behind for the other files with that name to claim.
+ * Entries whose backup file is gone or was overwritten are dropped.
+ *
+ * @param {string} filePath - File whose history is being looked up
+ * @param {string} versionDir - Its folder in the new layout (does not exist yet)
+ */
+function claimLegacyGlobalHistory(filePath, versionDir) {
+  const legacyDir = path.join(versionGlobalPath, path.basename(filePath));
+  const legacy = loadVersionMetadata(legacyDir);
+  if (legacy.filePath || legacy.versions.length === 0) return; // Not an old shared folder
 
-// Load version metadata
-function loadVersionMetadata(versionDir) {
-  const metadataPath = getMetadataPath(versionDir);
+  let currentContent;
   try {
-    if (fs.existsSync(metadataPath)) {
-      const data = fs.readFileSync(metadataPath, 'utf-8');
-      return JSON.parse(data);
-    }
+    currentContent = fs.readFileSync(filePath, 'utf-8');
   } catch (err) {
-    console.error('Error loading version metadata:', err);
+    return; // Nothing to match against yet (e.g. a new file)
   }
-  return { versions: [] };
-}
 
-// Save version metadata
-function saveVersionMetadata(versionDir, metadata) {
-  const metadataPath = getMetadataPath(versionDir);
   try {
-    // Ensure directory exists
-    if (!fs.existsSync(versionDir)) {
-      fs.mkdirSync(versionDir, { recursive: true });
+    const ext = path.extname(filePath);
+    const chains = [];
+
+    legacy.versions
+      .slice()
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .forEach(version => {
+        const versionFile = path.join(legacyDir, `${version.id}${ext}`);
+        let content;
+        try {
+          content = fs.readFileSync(versionFile, 'utf-8');
+        } catch (err) {
+          return;
+        }
+        if (getFileHash(content) !== version.hash) return;
+
+        let bestChain = null;
+        let bestScore = 0.5; // Below this the versions are treated as different files
+        chains.forEach(chain => {
+          const score = lineSimilarity(chain[chain.length - 1].content, content);
+          if (score >= bestScore) {
+            bestChain = chain;
+            bestScore = score;
+          }
+        });
+        const entry = { version, content, file: versionFile };
+        if (bestChain) {
+          bestChain.push(entry);
+        } else {
+          chains.push([entry]);
+        }
+      });
+
+    let claimed = null;
+    let claimedScore = 0.5;
+    chains.forEach(chain => {
+      const score = lineSimilarity(chain[chain.length - 1].content, currentContent);
+      if (score >= claimedScore) {
+        claimed = chain;
+        claimedScore = score;
+      }
+    });
+
+    if (!claimed) return;
+
+    fs.mkdirSync(versionDir, { recursive: true });
+    const metadata = { filePath: path.resolve(filePath), versions: [] };
+    claimed.forEach((entry, index) => {
+      const versionId = `v${String(index + 1).padStart(3, '0')}`;
+      fs.renameSync(entry.file, path.join(versionDir, `${versionId}${ext}`));
+      metadata.versions.push({ ...entry.version, id: versionId });
+    });
+    saveVersionMetadata(versionDir, metadata);
+
+    // Leave the other files' versions (and only those) in the old folder
+    const remaining = chains.filter(chain => chain !== claimed).flat();
+    if (remaining.length === 0) {
+      fs.rmSync(legacyDir, { recursive: true, force: true });
+    } else {
+      legacy.versions = legacy.versions.filter(version => remaining.some(entry => entry.version === version));
+      saveVersionMetadata(legacyDir, legacy);
     }
-    fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2), 'utf-8');
+
+    console.log(`Moved ${claimed.length} backups of ${filePath} out of ${legacyDir}`);
   } catch (err) {
-    console.error('Error saving version metadata:', err);
+    console.error('Error migrating global backups:', err);
   }
 }
 
@@ -438,9 +612,10 @@ function saveVersionMetadata(versionDir, metadata) {
  *
  * This is the core of the backup system. It:
  * 1. Calculates MD5 hash of content to detect duplicates
- * 2. Creates a new backup file (v001.md, v002.md, etc.)
+ * 2. Creates a new backup file (v001.md, v002.md, etc.) numbered by metadata.nextVersion
  * 3. Updates metadata.json with timestamp, size, word count
- * 4. Removes oldest backups if we exceed versionsToKeep (default: 10)
+ * 4. Prunes old backups by the retention policy (default: keep the newest 10), never pinned ones
+ * 5. Has older full copies turned into compressed deltas in the background (see saveHistory)
  *
  * @param {string} filePath - Path to the file being backed up
  * @param {string} content - File content to backup
@@ -473,8 +648,14 @@ function createVersion(filePath, content, trigger = 'manual-save') {
       fs.mkdirSync(versionDir, { recursive: true });
     }
 
-    // Generate version ID
-    const versionId = `v${String(metadata.versions.length + 1).padStart(3, '0')}`;
+    // Stable identity for the history, so it can be found again after a rename
+    const isNewHistory = !metadata.documentId || metadata.filePath !== path.resolve(filePath);
+    if (!metadata.documentId) {
+      metadata.documentId = crypto.randomUUID();
+    }
+
+    // Generate version ID from the counter, never reused after older backups are pruned
+    const versionId = allocateVersionId(metadata);
     const versionFile = path.join(versionDir, `${versionId}${path.extname(filePath)}`);
 
     // Save version file
@@ -485,6 +666,7 @@ function createVersion(filePath, content, trigger = 'manual-save') {
     const lines = content.split('\n').length;
 
     // Add to metadata
+    metadata.filePath = path.resolve(filePath); // The file this history belongs to
     metadata.versions.push({
       id: versionId,
       timestamp: new Date().toISOString(),
@@ -495,48 +677,15 @@ function createVersion(filePath, content, trigger = 'manual-save') {
       trigger: trigger
     });
 
-    // Clean up old versions if needed
-    if (metadata.versions.length > versionsToKeep) {
-      const versionsToDelete = metadata.versions.length - versionsToKeep;
-      for (let i = 0; i < versionsToDelete; i++) {
-        const oldVersion = metadata.versions[i];
-        const oldFile = path.join(versionDir, `${oldVersion.id}${path.extname(filePath)}`);
-        try {
-          if (fs.existsSync(oldFile)) {
-            fs.unlinkSync(oldFile);
-          }
-        } catch (err) {
-          console.error('Error deleting old version:', err);
-        }
-      }
-      metadata.versions = metadata.versions.slice(versionsToDelete);
-    }
-
-    // Clean up by age if enabled
-    if (versionAutoCleanup && versionCleanupDays > 0) {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - versionCleanupDays);
-      const cutoffTime = cutoffDate.toISOString();
-
-      const versionsToRemove = [];
-      for (const version of metadata.versions) {
-        if (version.timestamp < cutoffTime) {
-          versionsToRemove.push(version);
-          const oldFile = path.join(versionDir, `${version.id}${path.extname(filePath)}`);
-          try {
-            if (fs.existsSync(oldFile)) {
-              fs.unlinkSync(oldFile);
-            }
-          } catch (err) {
-            console.error('Error deleting old version by age:', err);
-          }
-        }
-      }
-      metadata.versions = metadata.versions.filter(v => !versionsToRemove.includes(v));
-    }
+    // Clean up old versions by the retention policy
+    const ext = path.extname(filePath);
+    pruneVersions(versionDir, metadata, selectVersionsToPrune(metadata.versions, getRetentionPolicy()), ext);
 
-    // Save updated metadata
-    saveVersionMetadata(versionDir, metadata);
+    // Store the previous backup as a delta against this one, and save updated metadata
+    saveHistory(versionDir, metadata, ext);
+    if (isNewHistory) {
+      registerHistory(versionDir, metadata);
+    }
 
     console.log(`Created version ${versionId} for ${path.basename(filePath)}`);
   } catch (err) {
@@ -560,24 +709,11 @@ function getVersions(filePath) {
   }
 }
 
-// Restore a specific version
+// Read a specific version's content; throws if the backup is missing or damaged
 function restoreVersion(filePath, versionId) {
-  if (!filePath || !versionId) {
-    return null;
-  }
-
-  try {
-    const versionDir = getVersionDir(filePath);
-    const versionFile = path.join(versionDir, `${versionId}${path.extname(filePath)}`);
-
-    if (fs.existsSync(versionFile)) {
-      return fs.readFileSync(versionFile, 'utf-8');
-    }
-  } catch (err) {
-    console.error('Error restoring version:', err);
-  }
-
-  return null;
+  const versionDir = getVersionDir(filePath);
+  const metadata = loadVersionMetadata(versionDir);
+  return readVersionContent(versionDir, metadata, versionId, path.extname(filePath));
 }
 
 // Delete a specific version
@@ -590,21 +726,16 @@ function deleteVersion(filePath, versionId) {
     const versionDir = getVersionDir(filePath);
     const metadata = loadVersionMetadata(versionDir);
 
-    // Find and remove version from metadata
-    const versionIndex = metadata.versions.findIndex(v => v.id === versionId);
-    if (versionIndex === -1) {
+    // Find the version in metadata
+    const version = metadata.versions.find(v => v.id === versionId);
+    if (!version) {
       return false;
     }
 
-    // Delete the version file
-    const versionFile = path.join(versionDir, `${versionId}${path.extname(filePath)}`);
-    if (fs.existsSync(versionFile)) {
-      fs.unlinkSync(versionFile);
-    }
-
-    // Remove from metadata
-    metadata.versions.splice(versionIndex, 1);
-    saveVersionMetadata(versionDir, metadata);
+    // Delete it (backups stored as deltas against it are rebased) and save metadata
+    const ext = path.extname(filePath);
+    pruneVersions(versionDir, metadata, [version], ext);
+    saveHistory(versionDir, metadata, ext);
 
     return true;
   } catch (err) {
@@ -613,122 +744,708 @@ function deleteVersion(filePath, versionId) {
   }
 }
 
-function createWindow(filePathToOpen = null) {
-  const win = new BrowserWindow({
-    width: 1200,
-    height: 800,
-    frame: false, // Remove default title bar
-    icon: path.join(__dirname, 'icon.svg'), // Custom app icon
-    autoHideMenuBar: false, // Keep menu visible
-    show: false, // Don't show window until ready
-    backgroundColor: '#ffffff', // Set background color to match editor
-    webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
-      backgroundThrottling: false, // Don't throttle when in background
-      v8CacheOptions: 'code' // Enable V8 code caching for faster subsequent loads
+// ==========================================
+// Delta-Compressed Storage
+// ==========================================
+// Older backups are stored as reverse deltas against the next newer one (see
+// history.js). Diffing a long note can take a while, so a save only writes
+// the new full copy and metadata; history-worker.js works out the deltas in a
+// worker thread, writing them to temporary files, and applyCompaction() swaps
+// in the ones still valid when it's done.
+
+const historyCompactions = new Map(); // versionDir -> { again } while its worker runs
+
+// Save a history's metadata and compact it in the background
+function saveHistory(versionDir, metadata, ext) {
+  saveVersionMetadata(versionDir, metadata);
+  scheduleHistoryCompaction(versionDir, metadata, ext);
+}
+
+// One worker per history at a time; changes made meanwhile get another pass
+function scheduleHistoryCompaction(versionDir, metadata, ext) {
+  const running = historyCompactions.get(versionDir);
+  if (running) {
+    running.again = true;
+    return;
+  }
+
+  const job = { again: false };
+  historyCompactions.set(versionDir, job);
+
+  const worker = new Worker(path.join(__dirname, 'history-worker.js'), {
+    workerData: { versionDir, metadata, ext }
+  });
+  worker.on('message', message => {
+    if (message.type === 'done') {
+      try {
+        applyCompaction(versionDir, ext, message.changes);
+      } catch (err) {
+        console.error('Error applying backup compaction:', err);
+      }
+    } else if (message.type === 'error') {
+      console.error('Error compacting backups:', message.message);
     }
   });
+  worker.on('error', err => {
+    console.error('Backup compaction worker failed:', err);
+  });
+  worker.on('exit', () => {
+    historyCompactions.delete(versionDir);
+    if (job.again && fs.existsSync(versionDir)) {
+      scheduleHistoryCompaction(versionDir, loadVersionMetadata(versionDir), ext);
+    }
+  });
+}
 
-  // Create state for this window
-  const state = createWindowState(win);
-
-  // Load app settings first (needed before window setup) - only on first window
-  if (windows.size === 1) {
-    loadSettings();
+// Extension of a history's full copies, for histories reached without their note
+function getHistoryExt(versionDir, metadata) {
+  if (metadata.filePath) {
+    return path.extname(metadata.filePath);
   }
+  const fullCopy = fs.readdirSync(versionDir).find(name => /^v\d+(\.[^.]*)?$/.test(name) && !name.endsWith('.delta'));
+  return fullCopy ? path.extname(fullCopy) : '.md';
+}
 
-  win.loadFile('index.html');
+// ==========================================
+// Backup Retention
+// ==========================================
+// 'count' keeps the newest versionsToKeep backups. 'tiered' thins them out with
+// age: everything from the last hour, then one per hour, per day and per week.
+// Pinned backups and the newest one are never pruned. Changing the policy shows
+// what it would delete across all known histories before anything is removed.
+
+// The policy createVersion() prunes with, as one object
+function getRetentionPolicy() {
+  return {
+    ...versionRetention,
+    count: versionsToKeep,
+    cleanupDays: versionAutoCleanup ? versionCleanupDays : 0
+  };
+}
 
-  // Show window when ready to prevent white screen
-  win.once('ready-to-show', () => {
-    win.show();
+// Start of the week (Monday) a time falls in, as a bucket key
+function getWeekKey(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.toDateString();
+}
 
-    // Load recent files and create menu AFTER window is visible
-    // This prevents blocking the window from appearing
-    setImmediate(() => {
-      if (windows.size === 1) {
-        loadRecentFiles();
+/**
+ * Decide which backups a retention policy removes
+ *
+ * In tiered mode each hour/day/week keeps its newest backup. An age cutoff
+ * (cleanupDays, the auto-cleanup setting) applies on top of either mode.
+ *
+ * @param {Array} versions - Metadata versions, oldest first
+ * @param {Object} policy - getRetentionPolicy() shape
+ * @param {number} now - Reference time (ms)
+ * @returns {Array} The versions to delete
+ */
+function selectVersionsToPrune(versions, policy, now = Date.now()) {
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+  const newest = versions[versions.length - 1];
+  const prunable = versions.filter(version => !version.pinned && version !== newest);
+  const prune = new Set();
+
+  if (policy.mode === 'tiered') {
+    const seenBuckets = new Set();
+    // Newest first, so the first backup seen in a bucket is the one kept
+    prunable.slice().reverse().forEach(version => {
+      const time = Date.parse(version.timestamp);
+      const age = now - time;
+      let bucket;
+      if (age < policy.allHours * HOUR) {
+        return;
+      } else if (age < policy.hourlyDays * DAY) {
+        bucket = `hour ${Math.floor(time / HOUR)}`;
+      } else if (age < policy.dailyDays * DAY) {
+        bucket = `day ${new Date(time).toDateString()}`;
+      } else if (!policy.weeklyWeeks || age < policy.weeklyWeeks * 7 * DAY) {
+        bucket = `week ${getWeekKey(time)}`;
+      } else {
+        prune.add(version);
+        return;
+      }
+
+      if (seenBuckets.has(bucket)) {
+        prune.add(version);
+      } else {
+        seenBuckets.add(bucket);
       }
-      createMenu();
     });
-  });
+  } else {
+    // Pinned backups don't take up any of the count
+    const unpinned = versions.filter(version => !version.pinned);
+    unpinned.slice(0, Math.max(0, unpinned.length - policy.count)).forEach(version => prune.add(version));
+  }
 
-  // Send autosave status after page loads
-  win.webContents.on('did-finish-load', () => {
-    sendAutosaveStatus(win);
+  if (policy.cleanupDays > 0) {
+    prunable.forEach(version => {
+      if (now - Date.parse(version.timestamp) > policy.cleanupDays * DAY) {
+        prune.add(version);
+      }
+    });
+  }
 
-    // Send default startup mode
-    win.webContents.send('set-initial-mode', defaultStartupMode);
+  return versions.filter(version => prune.has(version));
+}
 
-    // Send reader mode margins setting
-    win.webContents.send('set-reader-margins', readerModeMargins);
+/**
+ * Delete backups and drop them from metadata (caller saves it with saveHistory)
+ *
+ * Backups stored as deltas against a deleted one are written out as full
+ * copies first, and metadata saved, so nothing points at a missing file even
+ * if the deletion is interrupted. saveHistory() turns them back into deltas.
+ */
+function pruneVersions(versionDir, metadata, versionsToDelete, ext) {
+  if (versionsToDelete.length === 0) return;
 
-    // Send minimap enabled state
-    win.webContents.send('toggle-minimap', minimapEnabled);
+  const ids = new Set(versionsToDelete.map(version => version.id));
+  const rebased = [];
+  metadata.versions.forEach(version => {
+    if (ids.has(version.id) || version.storage !== 'delta' || !ids.has(version.base)) return;
+    try {
+      const content = readVersionContent(versionDir, metadata, version.id, ext);
+      fs.writeFileSync(path.join(versionDir, `${version.id}${ext}`), content, 'utf-8');
+      delete version.storage;
+      delete version.base;
+      rebased.push(getDeltaPath(versionDir, version.id));
+    } catch (err) {
+      console.error('Error rebasing backup:', err);
+    }
+  });
+  if (rebased.length > 0) {
+    saveVersionMetadata(versionDir, metadata);
+    rebased.forEach(file => fs.rmSync(file, { force: true }));
+  }
 
-    // Open file if specified
-    if (filePathToOpen) {
-      openFileByPath(win, filePathToOpen);
+  fs.readdirSync(versionDir).forEach(name => {
+    const match = name.match(/^(v\d+)(\.[^.]*)?$/);
+    if (!match || !ids.has(match[1])) return;
+    try {
+      fs.unlinkSync(path.join(versionDir, name));
+    } catch (err) {
+      console.error('Error deleting old version:', err);
     }
   });
+  metadata.versions = metadata.versions.filter(version => !versionsToDelete.includes(version));
+}
 
-  // Set initial title
-  updateWindowTitle(win, true); // New file, unsaved
+// Histories directly inside a folder (the global folder or a .nthing-history)
+function listHistoryDirs(root) {
+  try {
+    return fs.readdirSync(root, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => path.join(root, entry.name))
+      .filter(versionDir => fs.existsSync(getMetadataPath(versionDir)));
+  } catch (err) {
+    return []; // No such folder
+  }
+}
 
-  // Update title every minute to keep "last saved" time current
-  state.titleUpdateTimer = setInterval(() => {
-    if (win && !win.isDestroyed() && state.lastSaveTime) {
-      updateWindowTitle(win, false);
-    }
-  }, 60000); // Every 60 seconds
+/**
+ * What a retention policy would delete from every history Nthing can find
+ *
+ * That is every history in history-index.json, in the global folder, and in
+ * the .nthing-history folders of the open files and open workspaces. Others
+ * (local histories elsewhere on disk) are pruned the next time their note is
+ * saved, which the confirmation says.
+ *
+ * @returns {Array<{versionDir: string, filePath: string, metadata: Object, versions: Array}>}
+ *   Only histories that would lose backups
+ */
+function previewRetention(policy) {
+  const versionDirs = new Set();
+  const index = loadHistoryIndex();
+  Object.values(index.documents).forEach(entry => versionDirs.add(entry.versionDir));
+
+  const historyRoots = new Set();
+  if (versionGlobalPath) historyRoots.add(versionGlobalPath);
+  const addWorkspaceFolders = (node) => {
+    if (!node || node.type !== 'folder') return;
+    historyRoots.add(path.join(node.path, '.nthing-history'));
+    node.children.forEach(addWorkspaceFolders);
+  };
+  windows.forEach(state => {
+    addWorkspaceFolders(state.fileTree);
+    state.tabs.forEach(tab => {
+      const filePath = getTabDocument(state, tab.id).currentFilePath;
+      if (filePath) {
+        versionDirs.add(getVersionDir(filePath));
+        historyRoots.add(path.join(path.dirname(filePath), '.nthing-history'));
+      }
+    });
+  });
+  historyRoots.forEach(root => listHistoryDirs(root).forEach(versionDir => versionDirs.add(versionDir)));
 
-  // Clean up when window is closed
-  win.on('closed', () => {
-    stopAutosave(win, true); // Skip status update since window is closing
-    destroyWindowState(win);
+  const affected = [];
+  versionDirs.forEach(versionDir => {
+    if (!fs.existsSync(versionDir)) return;
+    const metadata = loadVersionMetadata(versionDir);
+    const versions = selectVersionsToPrune(metadata.versions, policy);
+    if (versions.length > 0) {
+      affected.push({ versionDir, filePath: metadata.filePath || versionDir, metadata, versions });
+    }
   });
+  return affected;
+}
 
-  // Start autosave if it was enabled persistently
-  if (autosavePersistent) {
-    state.autosaveEnabled = true;
-    startAutosave(win);
+// Pin or unpin a backup; pinned backups are never pruned
+function setVersionPinned(filePath, versionId, pinned) {
+  const versionDir = getVersionDir(filePath);
+  const metadata = loadVersionMetadata(versionDir);
+  const version = metadata.versions.find(v => v.id === versionId);
+  if (!version) return false;
+
+  if (pinned) {
+    version.pinned = true;
+  } else {
+    delete version.pinned;
+  }
+  saveVersionMetadata(versionDir, metadata);
+  return true;
+}
+
+// ==========================================
+// Following Histories Across Renames
+// ==========================================
+// Each history has a documentId in its metadata.json, and history-index.json in
+// userData maps every id to its folder and file. When a file without backups is
+// opened, histories whose file no longer exists are checked for a recent backup
+// with the same content hash; a match likely means the file was renamed or
+// moved outside Nthing, and the user is asked whether to move its history to
+// the new path. Save As asks too.
+
+const MOVED_HISTORY_RECENT_BACKUPS = 3; // How far back a moved file's content may be
+const MOVED_HISTORY_MIN_LENGTH = 40; // Characters (not counting whitespace) worth matching on
+
+function loadHistoryIndex() {
+  try {
+    if (fs.existsSync(historyIndexPath)) {
+      return JSON.parse(fs.readFileSync(historyIndexPath, 'utf-8'));
+    }
+  } catch (err) {
+    console.error('Error loading history index:', err);
   }
+  return { documents: {} };
+}
 
-  return win;
+function saveHistoryIndex(index) {
+  try {
+    fs.writeFileSync(historyIndexPath, JSON.stringify(index, null, 2), 'utf-8');
+  } catch (err) {
+    console.error('Error saving history index:', err);
+  }
 }
 
-function createMenu() {
-  // Build Open Recent submenu
-  const recentFilesSubmenu = [];
+// Record where a history lives (new history, or moved to another file)
+function registerHistory(versionDir, metadata) {
+  const index = loadHistoryIndex();
+  index.documents[metadata.documentId] = { filePath: metadata.filePath, versionDir: versionDir };
+  saveHistoryIndex(index);
+}
 
-  if (recentFiles.length > 0) {
-    recentFiles.forEach((filePath, index) => {
-      recentFilesSubmenu.push({
-        label: path.basename(filePath),
-        sublabel: filePath,
-        accelerator: index < 9 ? `CmdOrCtrl+${index + 1}` : undefined,
-        click: () => {
-          const win = BrowserWindow.getFocusedWindow();
-          if (win) openRecentFile(win, filePath);
-        }
-      });
-    });
-    recentFilesSubmenu.push({ type: 'separator' });
-    recentFilesSubmenu.push({
-      label: 'Clear Recent Files',
-      click: () => {
-        clearRecentFiles();
+// Whether the file a history belongs to is still there
+function historyHasOwner(versionDir, metadata) {
+  if (metadata.filePath) {
+    return fs.existsSync(metadata.filePath);
+  }
+
+  // Local histories from before filePath was recorded: .nthing-history/<name>
+  // belongs to <name>.<ext> in the folder above
+  const name = path.basename(versionDir);
+  const noteDir = path.dirname(path.dirname(versionDir));
+  try {
+    return fs.readdirSync(noteDir).some(entry => path.basename(entry, path.extname(entry)) === name);
+  } catch (err) {
+    return true; // Can't tell, leave it alone
+  }
+}
+
+// metadata.json as written, without the repair loadVersionMetadata() may save
+function readRawVersionMetadata(versionDir) {
+  try {
+    return JSON.parse(fs.readFileSync(getMetadataPath(versionDir), 'utf-8'));
+  } catch (err) {
+    return { versions: [] };
+  }
+}
+
+/**
+ * Find the history of a file that was renamed or moved
+ *
+ * Candidates are the histories in history-index.json plus the local ones next
+ * to the file (histories that predate the index). Only histories whose file is
+ * gone are considered, and one of their last MOVED_HISTORY_RECENT_BACKUPS
+ * backups must have exactly the file's current content; the one where it is
+ * the most recent backup wins. Near-empty files (a new note, a one-line
+ * template) would match unrelated notes, so they never match.
+ *
+ * @param {string} filePath - File that has no history of its own
+ * @param {string} content - Its current content
+ * @returns {{versionDir: string, metadata: Object}|null}
+ */
+function findMovedHistory(filePath, content) {
+  if (content.replace(/\s/g, '').length < MOVED_HISTORY_MIN_LENGTH) {
+    return null;
+  }
+
+  const contentHash = getFileHash(content);
+  const targetDir = getVersionDir(filePath);
+  const index = loadHistoryIndex();
+  const candidates = new Set();
+  let indexChanged = false;
+
+  Object.keys(index.documents).forEach(documentId => {
+    const entry = index.documents[documentId];
+    if (fs.existsSync(entry.versionDir)) {
+      // Cheap check first: most indexed files still exist
+      if (!entry.filePath || !fs.existsSync(entry.filePath)) {
+        candidates.add(entry.versionDir);
       }
-    });
-  } else {
-    recentFilesSubmenu.push({
-      label: 'No Recent Files',
-      enabled: false
-    });
+    } else {
+      delete index.documents[documentId]; // Deleted by hand, forget it
+      indexChanged = true;
+    }
+  });
+  if (indexChanged) {
+    saveHistoryIndex(index);
   }
 
-  const template = [
+  const localHistoryRoot = path.join(path.dirname(filePath), '.nthing-history');
+  try {
+    fs.readdirSync(localHistoryRoot).forEach(name => candidates.add(path.join(localHistoryRoot, name)));
+  } catch (err) {
+    // No local histories in this folder
+  }
+
+  let best = null;
+  let bestAge = Infinity; // How many backups ago the content was saved
+  candidates.forEach(versionDir => {
+    if (versionDir === targetDir) return;
+    const metadata = readRawVersionMetadata(versionDir);
+    const versions = metadata.versions || [];
+    const matchIndex = versions.map(version => version.hash).lastIndexOf(contentHash);
+    const age = versions.length - 1 - matchIndex;
+    if (matchIndex === -1 || age >= MOVED_HISTORY_RECENT_BACKUPS || age >= bestAge) return;
+    if (historyHasOwner(versionDir, metadata)) return;
+
+    best = versionDir;
+    bestAge = age;
+  });
+
+  return best ? { versionDir: best, metadata: loadVersionMetadata(best) } : null;
+}
+
+/**
+ * Move or copy a history folder to another file's location
+ *
+ * Backup files are named after the file's extension (v001.md), so they are
+ * renamed if the extension changed.
+ *
+ * @param {string} fromDir - Existing history folder
+ * @param {string} toDir - Folder for the new path (removed first if it holds no backups)
+ * @param {string} newFilePath - File the history now belongs to
+ * @param {boolean} copy - Copy instead of move (the old file keeps its history)
+ */
+function transferHistory(fromDir, toDir, newFilePath, copy) {
+  if (fs.existsSync(toDir)) {
+    fs.rmSync(toDir, { recursive: true, force: true });
+  }
+  fs.mkdirSync(path.dirname(toDir), { recursive: true });
+
+  if (copy) {
+    fs.cpSync(fromDir, toDir, { recursive: true });
+  } else {
+    try {
+      fs.renameSync(fromDir, toDir);
+    } catch (err) {
+      // Different drive, rename can't move it
+      fs.cpSync(fromDir, toDir, { recursive: true });
+      fs.rmSync(fromDir, { recursive: true, force: true });
+    }
+    // Don't leave an empty .nthing-history behind in the old folder
+    const oldRoot = path.dirname(fromDir);
+    if (path.basename(oldRoot) === '.nthing-history' && fs.readdirSync(oldRoot).length === 0) {
+      fs.rmdirSync(oldRoot);
+    }
+  }
+
+  const ext = path.extname(newFilePath);
+  fs.readdirSync(toDir).forEach(name => {
+    const match = name.match(/^(v\d+)(\.[^.]*)?$/);
+    if (match && match[2] !== '.delta' && (match[2] || '') !== ext) {
+      fs.renameSync(path.join(toDir, name), path.join(toDir, `${match[1]}${ext}`));
+    }
+  });
+
+  const metadata = loadVersionMetadata(toDir);
+  const previousPath = metadata.filePath;
+  if (copy) {
+    metadata.copiedFrom = metadata.documentId;
+    metadata.documentId = crypto.randomUUID(); // A separate document from now on
+  } else {
+    metadata.documentId = metadata.documentId || crypto.randomUUID();
+    metadata.previousPaths = (metadata.previousPaths || []).concat(previousPath ? [previousPath] : []);
+  }
+  metadata.filePath = path.resolve(newFilePath);
+  saveVersionMetadata(toDir, metadata);
+  registerHistory(toDir, metadata);
+}
+
+/**
+ * On open: offer to pick up the history of a file that was renamed or moved
+ * outside Nthing
+ *
+ * Asked after the file is shown, since a matching backup is only a strong
+ * hint: a copy of a deleted note would match as well.
+ */
+function adoptMovedHistory(win, filePath, content) {
+  if (!versioningEnabled || getVersions(filePath).length > 0) return;
+
+  let found;
+  try {
+    found = findMovedHistory(filePath, content);
+  } catch (err) {
+    console.error('Error looking for a moved history:', err);
+  }
+  if (!found) return;
+
+  const oldPath = found.metadata.filePath || found.versionDir;
+  dialog.showMessageBox(win, {
+    type: 'question',
+    buttons: ['Move History', 'Start Fresh'],
+    defaultId: 0,
+    cancelId: 1,
+    title: 'Note Backups',
+    message: `"${path.basename(filePath)}" looks like "${path.basename(oldPath)}", which no longer exists. Move its backups here?`,
+    detail: `The backups of ${oldPath} (${found.metadata.versions.length}) would follow this file from now on.`
+  }).then(result => {
+    if (result.response !== 0) return;
+    try {
+      transferHistory(found.versionDir, getVersionDir(filePath), filePath, false);
+      console.log(`Moved backups from ${found.versionDir} to follow ${filePath}`);
+    } catch (err) {
+      console.error('Error following moved history:', err);
+      return;
+    }
+
+    // Refresh the backup sidebar if the file is still the one shown
+    const state = getWindowState(win);
+    if (state && state.currentFilePath === filePath && !win.isDestroyed()) {
+      win.webContents.send('versions-list', getVersions(filePath));
+    }
+  });
+}
+
+/**
+ * After Save As: offer to bring the backups of the previous file along
+ *
+ * Only asked when the old file has backups and the new path has none. The
+ * history is copied, the old file keeps its own.
+ *
+ * @returns {Promise} Resolves once the history is copied or declined
+ */
+function offerHistoryTransfer(win, oldFilePath, newFilePath) {
+  if (!versioningEnabled || !oldFilePath || path.resolve(oldFilePath) === path.resolve(newFilePath) ||
+      getVersions(oldFilePath).length === 0 || getVersions(newFilePath).length > 0) {
+    return Promise.resolve();
+  }
+
+  return dialog.showMessageBox(win, {
+    type: 'question',
+    buttons: ['Keep History', 'Start Fresh'],
+    defaultId: 0,
+    cancelId: 1,
+    title: 'Note Backups',
+    message: `Bring the backups of "${path.basename(oldFilePath)}" to "${path.basename(newFilePath)}"?`,
+    detail: 'The backups are copied, so the original file keeps its history too.'
+  }).then(result => {
+    if (result.response !== 0) return;
+    try {
+      transferHistory(getVersionDir(oldFilePath), getVersionDir(newFilePath), newFilePath, true);
+    } catch (err) {
+      console.error('Error copying history:', err);
+    }
+  });
+}
+
+/**
+ * Create an editor window
+ *
+ * @param {string|null} filePathToOpen - File to open once the page has loaded
+ * @param {Object|null} session - Saved window entry from session.json to restore
+ *   (bounds, maximized, open tabs, mode, cursor, scroll, sidebars, workspace)
+ * @returns {BrowserWindow}
+ */
+function createWindow(filePathToOpen = null, session = null) {
+  const bounds = session && isOnScreen(session.bounds) ? session.bounds : { width: 1200, height: 800 };
+
+  const win = new BrowserWindow({
+    x: bounds.x,
+    y: bounds.y,
+    width: bounds.width,
+    height: bounds.height,
+    frame: false, // Remove default title bar
+    icon: path.join(__dirname, 'icon.svg'), // Custom app icon
+    autoHideMenuBar: false, // Keep menu visible
+    show: false, // Don't show window until ready
+    backgroundColor: '#ffffff', // Set background color to match editor
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false,
+      backgroundThrottling: false, // Don't throttle when in background
+      v8CacheOptions: 'code' // Enable V8 code caching for faster subsequent loads
+    }
+  });
+
+  // Create state for this window
+  const state = createWindowState(win);
+
+  win.loadFile('index.html');
+
+  // Show window when ready to prevent white screen
+  win.once('ready-to-show', () => {
+    if (session && session.maximized) {
+      win.maximize();
+    }
+    win.show();
+
+    // Load recent files and create menu AFTER window is visible
+    // This prevents blocking the window from appearing
+    setImmediate(() => {
+      if (windows.size === 1) {
+        loadRecentFiles();
+      }
+      createMenu();
+    });
+  });
+
+  // Send autosave status after page loads
+  win.webContents.on('did-finish-load', () => {
+    sendAutosaveStatus(win);
+
+    // Set up the tab strip with the window's first tab
+    sendActiveTab(win);
+
+    // Send default startup mode
+    win.webContents.send('set-initial-mode', defaultStartupMode);
+
+    // Send reader mode margins setting
+    win.webContents.send('set-reader-margins', readerModeMargins);
+
+    // Send minimap enabled state
+    win.webContents.send('toggle-minimap', minimapEnabled);
+
+    // Open file if specified
+    if (filePathToOpen) {
+      openFileByPath(win, filePathToOpen);
+    }
+
+    // Restore tabs and layout after the file so cursor and scroll apply to the active tab
+    if (session) {
+      applySessionToWindow(win, session);
+    }
+  });
+
+  // Set initial title
+  updateWindowTitle(win, true); // New file, unsaved
+
+  // Update title every minute to keep "last saved" time current
+  state.titleUpdateTimer = setInterval(() => {
+    if (win && !win.isDestroyed() && state.lastSaveTime) {
+      updateWindowTitle(win, false);
+    }
+  }, 60000); // Every 60 seconds
+
+  // Ask about unsaved tabs first, their edits would be lost with the window.
+  // Closing the last window ends the session (File > Quit is handled in before-quit)
+  win.on('close', (event) => {
+    if (!state.closeConfirmed && state.tabs.some(tab => getTabDocument(state, tab.id).hasUnsavedChanges)) {
+      event.preventDefault(); // Also cancels a quit in progress
+      if (state.closeConfirming) return;
+
+      state.closeConfirming = true;
+      confirmCloseWindow(win).then(proceed => {
+        state.closeConfirming = false;
+        if (!proceed || win.isDestroyed()) {
+          isQuitting = false;
+          return;
+        }
+        state.closeConfirmed = true;
+        if (isQuitting) {
+          app.quit();
+        } else {
+          win.close();
+        }
+      });
+      return;
+    }
+
+    if (!isQuitting && windows.size === 1) {
+      saveSession();
+    }
+  });
+
+  // Clean up when window is closed
+  win.on('closed', () => {
+    stopAutosave(win, true); // Skip status update since window is closing
+    destroyWindowState(win);
+  });
+
+  // Start autosave if it was enabled persistently
+  if (autosavePersistent) {
+    state.autosaveEnabled = true;
+    startAutosave(win);
+  }
+
+  // Journal unsaved work (including untitled notes, and tabs in the background) in case the app crashes
+  state.recoveryTimer = setInterval(() => {
+    if (win.isDestroyed()) return;
+    const docs = state.tabs.map(tab => getTabDocument(state, tab.id));
+    if (docs.some(doc => doc.hasUnsavedChanges)) {
+      win.webContents.send('recovery-snapshot-request');
+    } else {
+      docs.forEach(removeRecoveryJournal);
+    }
+  }, RECOVERY_INTERVAL);
+
+  return win;
+}
+
+function createMenu() {
+  // Build Open Recent submenu
+  const recentFilesSubmenu = [];
+
+  if (recentFiles.length > 0) {
+    recentFiles.forEach((filePath, index) => {
+      recentFilesSubmenu.push({
+        label: path.basename(filePath),
+        sublabel: filePath,
+        accelerator: index < 9 ? `CmdOrCtrl+${index + 1}` : undefined,
+        click: () => {
+          const win = BrowserWindow.getFocusedWindow();
+          if (win) openRecentFile(win, filePath);
+        }
+      });
+    });
+    recentFilesSubmenu.push({ type: 'separator' });
+    recentFilesSubmenu.push({
+      label: 'Clear Recent Files',
+      click: () => {
+        clearRecentFiles();
+      }
+    });
+  } else {
+    recentFilesSubmenu.push({
+      label: 'No Recent Files',
+      enabled: false
+    });
+  }
+
+  const template = [
     {
       label: 'File',
       submenu: [
@@ -747,6 +1464,15 @@ function createMenu() {
             createWindow();
           }
         },
+        {
+          label: 'Close Tab',
+          accelerator: 'CmdOrCtrl+W',
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow();
+            const state = getWindowState(win);
+            if (state) closeTab(win, state.activeTabId);
+          }
+        },
         { type: 'separator' },
         {
           label: 'Open',
@@ -894,6 +1620,19 @@ function createMenu() {
             if (win) win.webContents.send('create-snapshot-request');
           }
         },
+        {
+          label: 'Backup Settings...',
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow();
+            if (win) {
+              win.webContents.send('show-backup-settings', {
+                storageMode: versionStorageMode,
+                globalPath: versionGlobalPath,
+                retention: { ...versionRetention, count: versionsToKeep }
+              });
+            }
+          }
+        },
         { type: 'separator' },
         {
           label: 'Exit',
@@ -906,15 +1645,25 @@ function createMenu() {
     {
       label: 'Edit',
       submenu: [
+        // Each tab keeps its own undo history in the renderer, so these can't use the
+        // built-in roles; the editor handles the keys itself
         {
           label: 'Undo',
           accelerator: 'CmdOrCtrl+Z',
-          role: 'undo'
+          registerAccelerator: false,
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow();
+            if (win) win.webContents.send('undo');
+          }
         },
         {
           label: 'Redo',
           accelerator: 'CmdOrCtrl+Y',
-          role: 'redo'
+          registerAccelerator: false,
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow();
+            if (win) win.webContents.send('redo');
+          }
         },
         { type: 'separator' },
         {
@@ -953,6 +1702,14 @@ function createMenu() {
             const win = BrowserWindow.getFocusedWindow();
             if (win) win.webContents.send('show-find-dialog', true);
           }
+        },
+        {
+          label: 'Find in Workspace',
+          accelerator: 'CmdOrCtrl+Shift+F',
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow();
+            if (win) win.webContents.send('show-workspace-search');
+          }
         }
       ]
     },
@@ -983,6 +1740,14 @@ function createMenu() {
             const win = BrowserWindow.getFocusedWindow();
             if (win) win.webContents.send('insert-table');
           }
+        },
+        {
+          label: 'Insert Footnote',
+          accelerator: 'CmdOrCtrl+Alt+F',
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow();
+            if (win) win.webContents.send('insert-footnote');
+          }
         }
       ]
     },
@@ -998,6 +1763,31 @@ function createMenu() {
           }
         },
         { type: 'separator' },
+        {
+          label: 'Next Tab',
+          accelerator: 'CmdOrCtrl+Tab',
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow();
+            if (win) cycleTab(win, 1);
+          }
+        },
+        {
+          label: 'Previous Tab',
+          accelerator: 'CmdOrCtrl+Shift+Tab',
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow();
+            if (win) cycleTab(win, -1);
+          }
+        },
+        {
+          label: 'Reveal in Preview',
+          accelerator: 'CmdOrCtrl+Shift+J',
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow();
+            if (win) win.webContents.send('reveal-in-preview');
+          }
+        },
+        { type: 'separator' },
         {
           label: 'Editor Mode',
           type: 'radio',
@@ -1059,6 +1849,19 @@ function createMenu() {
             }
           ]
         },
+        {
+          label: 'Restore Windows on Startup',
+          type: 'checkbox',
+          checked: restoreSessionEnabled,
+          click: (menuItem) => {
+            restoreSessionEnabled = menuItem.checked;
+            saveSettings();
+            if (!restoreSessionEnabled) {
+              // Forget the last session so it doesn't come back if re-enabled later
+              fs.rmSync(sessionPath, { force: true });
+            }
+          }
+        },
         { type: 'separator' },
         {
           label: 'Focus Mode',
@@ -1270,47 +2073,26 @@ function processFilenameTemplate(template, title) {
     .replace(/\{\{title\}\}/g, sanitizedTitle);
 }
 
+// New documents get their own tab, unless the current one is still empty
 function newFile(win) {
   const state = getWindowState(win);
   if (!state) return;
 
-  // Check for unsaved changes before creating new file
-  if (state.hasUnsavedChanges) {
-    dialog.showMessageBox(win, {
-      type: 'warning',
-      title: 'Unsaved Changes',
-      message: 'You have unsaved changes. Do you want to save before creating a new file?',
-      buttons: ['Save', 'Don\'t Save', 'Cancel'],
-      defaultId: 0,
-      cancelId: 2
-    }).then(result => {
-      if (result.response === 0) {
-        // Save
-        win.webContents.send('save-file-request');
-        // Wait for save to complete, then create new file
-        const saveHandler = () => {
-          ipcMain.removeListener('save-content', saveHandler);
-          setTimeout(() => {
-            createNewFile(win);
-          }, 100);
-        };
-        ipcMain.once('save-content', saveHandler);
-      } else if (result.response === 1) {
-        // Don't Save
-        createNewFile(win);
-      }
-      // If Cancel (response === 2), do nothing
-    });
-  } else {
+  if (isPristineTab(state)) {
     createNewFile(win);
+  } else {
+    addTab(win);
   }
 }
 
+// Turn the active tab into an empty untitled document
 function createNewFile(win) {
   const state = getWindowState(win);
   if (!state) return;
 
+  unwatchCurrentFile(state);
   state.currentFilePath = null;
+  state.diskContent = null;
   state.lastSaveTime = null;
   state.hasUnsavedChanges = false; // New empty file has nothing to save yet
   win.webContents.send('new-file');
@@ -1321,42 +2103,6 @@ function openFile(win) {
   const state = getWindowState(win);
   if (!state) return;
 
-  // Check for unsaved changes before opening
-  if (state.hasUnsavedChanges) {
-    dialog.showMessageBox(win, {
-      type: 'warning',
-      title: 'Unsaved Changes',
-      message: 'You have unsaved changes. Do you want to save before opening another file?',
-      buttons: ['Save', 'Don\'t Save', 'Cancel'],
-      defaultId: 0,
-      cancelId: 2
-    }).then(result => {
-      if (result.response === 0) {
-        // Save
-        win.webContents.send('save-file-request');
-        // Wait for save to complete, then show open dialog
-        const saveHandler = () => {
-          ipcMain.removeListener('save-content', saveHandler);
-          setTimeout(() => {
-            showOpenDialog(win);
-          }, 100);
-        };
-        ipcMain.once('save-content', saveHandler);
-      } else if (result.response === 1) {
-        // Don't Save
-        showOpenDialog(win);
-      }
-      // If Cancel (response === 2), do nothing
-    });
-  } else {
-    showOpenDialog(win);
-  }
-}
-
-function showOpenDialog(win) {
-  const state = getWindowState(win);
-  if (!state) return;
-
   dialog.showOpenDialog(win, {
     properties: ['openFile'],
     filters: [
@@ -1377,43 +2123,6 @@ function openRecentFile(win, filePath) {
   const state = getWindowState(win);
   if (!state) return;
 
-  // Check for unsaved changes before opening
-  if (state.hasUnsavedChanges) {
-    dialog.showMessageBox(win, {
-      type: 'warning',
-      title: 'Unsaved Changes',
-      message: 'You have unsaved changes. Do you want to save before opening another file?',
-      buttons: ['Save', 'Don\'t Save', 'Cancel'],
-      defaultId: 0,
-      cancelId: 2
-    }).then(result => {
-      if (result.response === 0) {
-        // Save
-        win.webContents.send('save-file-request');
-        // Wait for save to complete, then open the file
-        // Use a one-time listener for the save-content event
-        const saveHandler = () => {
-          ipcMain.removeListener('save-content', saveHandler);
-          setTimeout(() => {
-            openRecentFileAfterCheck(win, filePath);
-          }, 100); // Small delay to ensure save completes
-        };
-        ipcMain.once('save-content', saveHandler);
-      } else if (result.response === 1) {
-        // Don't Save
-        openRecentFileAfterCheck(win, filePath);
-      }
-      // If Cancel (response === 2), do nothing
-    });
-  } else {
-    openRecentFileAfterCheck(win, filePath);
-  }
-}
-
-function openRecentFileAfterCheck(win, filePath) {
-  const state = getWindowState(win);
-  if (!state) return;
-
   if (fs.existsSync(filePath)) {
     openFileByPath(win, filePath);
   } else {
@@ -1430,10 +2139,23 @@ function openRecentFileAfterCheck(win, filePath) {
   }
 }
 
+/**
+ * Open a file in a tab of this window
+ *
+ * A file that is already open just gets its tab brought to the front. Other
+ * files replace an empty untitled tab or open in a new one, so opening never
+ * discards unsaved work.
+ */
 function openFileByPath(win, filePath) {
   const state = getWindowState(win);
   if (!state) return;
 
+  const openTab = state.tabs.find(tab => getTabDocument(state, tab.id).currentFilePath === filePath);
+  if (openTab) {
+    activateTab(win, openTab.id);
+    return;
+  }
+
   try {
     const ext = path.extname(filePath).toLowerCase();
     let content;
@@ -1449,10 +2171,20 @@ function openFileByPath(win, filePath) {
       content = fs.readFileSync(filePath, 'utf-8');
     }
 
+    if (!isDocx) {
+      adoptMovedHistory(win, filePath, content);
+    }
+
+    if (!isPristineTab(state)) {
+      addTab(win);
+    }
+
     state.currentFilePath = filePath;
+    state.diskContent = isDocx ? null : content;
     state.lastSaveTime = null;
     state.hasUnsavedChanges = false;
     addToRecentFiles(filePath);
+    watchCurrentFile(win);
     win.webContents.send('file-opened', { content, filePath, isDocx });
     updateWindowTitle(win, false);
   } catch (err) {
@@ -1480,19 +2212,729 @@ function saveFileAs(win) {
   const state = getWindowState(win);
   if (!state) return;
 
-  dialog.showSaveDialog(win, {
+  const previousFilePath = state.currentFilePath;
+  showSaveAsDialog(win).then(filePath => {
+    if (!filePath) return;
+    return offerHistoryTransfer(win, previousFilePath, filePath).then(() => {
+      state.currentFilePath = filePath;
+      state.diskContent = null; // The dialog already confirmed overwriting the target
+      win.webContents.send('save-file-request');
+    });
+  });
+}
+
+// Ask for a file name to save to; resolves to the path, or null if cancelled
+function showSaveAsDialog(win) {
+  return dialog.showSaveDialog(win, {
     filters: [
       { name: 'Markdown Files', extensions: ['md'] },
       { name: 'All Files', extensions: ['*'] }
     ]
   }).then(result => {
-    if (!result.canceled && result.filePath) {
-      state.currentFilePath = result.filePath;
+    return !result.canceled && result.filePath ? result.filePath : null;
+  });
+}
+
+const SAVE_WAIT_TIMEOUT = 30 * 1000; // Longest wait for the renderer to answer a save request
+
+/**
+ * Save the window's content and wait for the real result
+ *
+ * Untitled documents get a Save As dialog first. Resolves when main has
+ * finished (or refused) writing the file, not when the request was sent, or
+ * with false after SAVE_WAIT_TIMEOUT if the renderer never answers (hung or
+ * crashed), so a close or quit can't wait forever.
+ *
+ * @returns {Promise<boolean>} True if the content is safely on disk
+ */
+function saveAndWait(win) {
+  const state = getWindowState(win);
+  if (!state) return Promise.resolve(false);
+
+  const pathReady = state.currentFilePath
+    ? Promise.resolve(state.currentFilePath)
+    : showSaveAsDialog(win).then(filePath => {
+      if (filePath) {
+        state.currentFilePath = filePath;
+        state.diskContent = null;
+      }
+      return filePath;
+    });
+
+  return pathReady.then(filePath => {
+    if (!filePath) return false;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        state.pendingSaves = state.pendingSaves.filter(pending => pending !== finish);
+        resolve(false);
+      }, SAVE_WAIT_TIMEOUT);
+      const finish = (saved) => {
+        clearTimeout(timer);
+        resolve(saved);
+      };
+      state.pendingSaves.push(finish);
       win.webContents.send('save-file-request');
+    });
+  });
+}
+
+/**
+ * Before a window closes: ask about each tab with unsaved changes in turn,
+ * showing it first
+ *
+ * @returns {Promise<boolean>} Whether the window may close (false on Cancel
+ *   or a failed save)
+ */
+function confirmCloseWindow(win) {
+  const state = getWindowState(win);
+  if (!state) return Promise.resolve(true);
+
+  const dirtyTabs = state.tabs.filter(tab => getTabDocument(state, tab.id).hasUnsavedChanges);
+  return dirtyTabs.reduce((ready, tab) => ready.then(proceed => {
+    const doc = getTabDocument(state, tab.id);
+    if (!proceed || !doc || !doc.hasUnsavedChanges) return proceed;
+
+    activateTab(win, tab.id);
+    const name = doc.currentFilePath ? path.basename(doc.currentFilePath) : 'Untitled';
+    return confirmUnsavedChanges(win, `Do you want to save the changes to "${name}" before closing the window?`);
+  }), Promise.resolve(true));
+}
+
+// Resolve everyone waiting on a save with its outcome
+function finishPendingSaves(state, saved) {
+  const pending = state.pendingSaves;
+  state.pendingSaves = [];
+  pending.forEach(resolve => resolve(saved));
+}
+
+/**
+ * Offer to save unsaved changes before replacing the document
+ *
+ * @param {BrowserWindow} win - Editor window
+ * @param {string} message - Question shown in the dialog
+ * @returns {Promise<boolean>} True if it's OK to continue (saved, or the user chose not to)
+ */
+function confirmUnsavedChanges(win, message) {
+  const state = getWindowState(win);
+  if (!state) return Promise.resolve(false);
+  if (!state.hasUnsavedChanges) return Promise.resolve(true);
+
+  return dialog.showMessageBox(win, {
+    type: 'warning',
+    title: 'Unsaved Changes',
+    message: message,
+    buttons: ['Save', 'Don\'t Save', 'Cancel'],
+    defaultId: 0,
+    cancelId: 2
+  }).then(result => {
+    if (result.response === 0) {
+      // Only continue if the save actually succeeded
+      return saveAndWait(win);
+    }
+    return result.response === 1;
+  });
+}
+
+// ==========================================
+// Tabs
+// ==========================================
+
+// Per-document fields. The active tab's values live directly on the window
+// state (so the rest of main.js keeps using state.currentFilePath etc.);
+// stashActiveTab/loadTab copy them in and out of the tab records on a switch.
+const TAB_DOCUMENT_FIELDS = ['currentFilePath', 'diskContent', 'lastSaveTime', 'hasUnsavedChanges', 'recoveryId', 'lastRecoveryHash'];
+
+// Create the record for an empty untitled tab
+function createTabRecord(state) {
+  return {
+    id: state.nextTabId++,
+    currentFilePath: null,
+    diskContent: null,
+    lastSaveTime: null,
+    hasUnsavedChanges: false,
+    recoveryId: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    lastRecoveryHash: null
+  };
+}
+
+// Copy the window's document fields back into the active tab's record
+function stashActiveTab(state) {
+  const tab = state.tabs.find(t => t.id === state.activeTabId);
+  if (tab) {
+    TAB_DOCUMENT_FIELDS.forEach(field => { tab[field] = state[field]; });
+  }
+}
+
+// Make a tab's document the window's current document
+function loadTab(state, tab) {
+  TAB_DOCUMENT_FIELDS.forEach(field => { state[field] = tab[field]; });
+  state.activeTabId = tab.id;
+}
+
+// Object holding a tab's up-to-date document fields (the window state for the active tab)
+function getTabDocument(state, tabId) {
+  if (tabId === state.activeTabId) return state;
+  return state.tabs.find(tab => tab.id === tabId) || null;
+}
+
+// An untitled tab with nothing typed in it can be reused instead of opening another
+function isPristineTab(state) {
+  return !state.currentFilePath && !state.hasUnsavedChanges;
+}
+
+// Send the tab strip (names and unsaved markers) to the renderer
+function sendTabList(win) {
+  const state = getWindowState(win);
+  if (!state || win.isDestroyed()) return;
+
+  const tabs = state.tabs.map(tab => {
+    const doc = getTabDocument(state, tab.id);
+    return { id: tab.id, filePath: doc.currentFilePath, unsaved: doc.hasUnsavedChanges };
+  });
+  win.webContents.send('tabs-updated', { tabs: tabs, activeTabId: state.activeTabId });
+}
+
+// Tell the renderer which tab's buffer to show
+function sendActiveTab(win) {
+  const state = getWindowState(win);
+  if (!state || win.isDestroyed()) return;
+
+  win.webContents.send('activate-tab', {
+    tabId: state.activeTabId,
+    filePath: state.currentFilePath,
+    unsaved: state.hasUnsavedChanges
+  });
+  sendTabList(win);
+}
+
+// Open an empty tab at the end of the strip and switch to it
+function addTab(win) {
+  const state = getWindowState(win);
+  if (!state) return;
+
+  const tab = createTabRecord(state);
+  state.tabs.push(tab);
+  activateTab(win, tab.id);
+}
+
+/**
+ * Switch the window to another tab
+ *
+ * The file watcher follows the active tab, so a file that changed while its
+ * tab was in the background is picked up here. An open compare window is
+ * closed: its restores and merges belong to the tab that opened it.
+ */
+function activateTab(win, tabId) {
+  const state = getWindowState(win);
+  if (!state || tabId === state.activeTabId) return;
+
+  const tab = state.tabs.find(t => t.id === tabId);
+  if (!tab) return;
+
+  if (state.compareWindow && !state.compareWindow.isDestroyed()) {
+    state.compareWindow.close();
+  }
+
+  stashActiveTab(state);
+  loadTab(state, tab);
+  watchCurrentFile(win);
+  sendActiveTab(win);
+  updateWindowTitle(win, state.hasUnsavedChanges);
+
+  handleExternalChange(win);
+}
+
+// Move to the next (step 1) or previous (step -1) tab, wrapping around
+function cycleTab(win, step) {
+  const state = getWindowState(win);
+  if (!state || state.tabs.length < 2) return;
+
+  const index = state.tabs.findIndex(tab => tab.id === state.activeTabId);
+  const next = state.tabs[(index + step + state.tabs.length) % state.tabs.length];
+  activateTab(win, next.id);
+}
+
+/**
+ * Close a tab, offering to save it first
+ *
+ * A tab with unsaved changes is brought to the front and goes through the
+ * same Save / Don't Save / Cancel prompt as the rest of the app. Closing the
+ * last tab leaves an empty untitled one rather than an empty window.
+ */
+function closeTab(win, tabId) {
+  const state = getWindowState(win);
+  if (!state) return;
+
+  const doc = getTabDocument(state, tabId);
+  if (!doc) return;
+
+  let ready = Promise.resolve(true);
+  if (doc.hasUnsavedChanges) {
+    activateTab(win, tabId);
+    const name = doc.currentFilePath ? path.basename(doc.currentFilePath) : 'Untitled';
+    ready = confirmUnsavedChanges(win, `Do you want to save the changes to "${name}" before closing it?`);
+  }
+
+  ready.then(proceed => {
+    if (proceed) removeTab(win, tabId);
+  });
+}
+
+function removeTab(win, tabId) {
+  const state = getWindowState(win);
+  if (!state || win.isDestroyed()) return;
+
+  const index = state.tabs.findIndex(tab => tab.id === tabId);
+  if (index === -1) return;
+
+  removeRecoveryJournal(getTabDocument(state, tabId));
+
+  if (state.tabs.length === 1) {
+    createNewFile(win);
+    return;
+  }
+
+  state.tabs.splice(index, 1);
+  win.webContents.send('tab-closed', tabId);
+
+  if (tabId === state.activeTabId) {
+    // Nothing to stash, the closed tab's record is gone
+    state.activeTabId = null;
+    activateTab(win, state.tabs[Math.min(index, state.tabs.length - 1)].id);
+  } else {
+    sendTabList(win);
+  }
+}
+
+ipcMain.on('switch-tab', (event, tabId) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (win) activateTab(win, tabId);
+});
+
+ipcMain.on('close-tab', (event, tabId) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (win) closeTab(win, tabId);
+});
+
+ipcMain.on('new-tab', (event) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (win) addTab(win);
+});
+
+// ==========================================
+// External Change Detection
+// ==========================================
+
+/**
+ * Watch the window's file for changes made by other programs
+ *
+ * Uses fs.watchFile (stat polling) rather than fs.watch because sync tools,
+ * git and other editors often replace the file by renaming over it, which
+ * fs.watch loses track of. Our own saves are recognised because the new
+ * disk text matches state.diskContent.
+ */
+function watchCurrentFile(win) {
+  const state = getWindowState(win);
+  if (!state || state.watchedPath === state.currentFilePath) return;
+
+  unwatchCurrentFile(state);
+
+  // .docx files are converted on open, so there is no text to compare against
+  if (!state.currentFilePath || path.extname(state.currentFilePath).toLowerCase() === '.docx') return;
+
+  state.watchedPath = state.currentFilePath;
+  state.fileWatchListener = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    handleExternalChange(win);
+  };
+  fs.watchFile(state.watchedPath, { interval: 1000 }, state.fileWatchListener);
+}
+
+function unwatchCurrentFile(state) {
+  if (state.watchedPath && state.fileWatchListener) {
+    fs.unwatchFile(state.watchedPath, state.fileWatchListener);
+  }
+  state.watchedPath = null;
+  state.fileWatchListener = null;
+}
+
+// Read the file as it is on disk now, or null if it is gone
+function readDiskContent(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch (err) {
+    return null;
+  }
+}
+
+// Ask the renderer for the live editor content
+function requestBufferContent(win) {
+  return new Promise((resolve) => {
+    const handler = (event, content) => {
+      // Several windows share this channel, only take our own answer
+      if (event.sender !== win.webContents) return;
+      ipcMain.removeListener('current-content-response', handler);
+      resolve(content);
+    };
+    ipcMain.on('current-content-response', handler);
+    win.webContents.send('get-current-content-for-compare');
+  });
+}
+
+/**
+ * React to the file changing on disk
+ *
+ * A clean buffer is reloaded silently. If the user has unsaved edits they
+ * choose between merging (three-way, base = last loaded/saved text), keeping
+ * their version, or loading the disk version (their edits go to a backup).
+ */
+function handleExternalChange(win) {
+  const state = getWindowState(win);
+  if (!state || !state.currentFilePath || state.externalChangePending) return;
+
+  const diskContent = readDiskContent(state.currentFilePath);
+
+  if (diskContent === null) {
+    // Deleted or moved away: keep the buffer, saving will recreate the file
+    if (!state.hasUnsavedChanges) {
+      state.hasUnsavedChanges = true;
+      updateWindowTitle(win, true);
     }
+    win.webContents.send('file-missing-on-disk');
+    return;
+  }
+
+  if (diskContent === state.diskContent) return;
+
+  state.externalChangePending = true;
+  const tabId = state.activeTabId;
+
+  requestBufferContent(win).then(bufferContent => {
+    // The user switched tabs before the buffer arrived; the check runs again when they come back
+    if (state.activeTabId !== tabId) {
+      state.externalChangePending = false;
+      return;
+    }
+
+    if (bufferContent === state.diskContent || bufferContent === diskContent) {
+      reloadFromDisk(win, state, diskContent);
+      state.externalChangePending = false;
+      return;
+    }
+
+    dialog.showMessageBox(win, {
+      type: 'warning',
+      title: 'File Changed on Disk',
+      message: `"${path.basename(state.currentFilePath)}" was changed by another program.`,
+      detail: 'You also have unsaved changes. Merge both versions, keep your version (the next save overwrites the file), ' +
+        'or load the version from disk (your edits are kept as a backup).',
+      buttons: ['Merge...', 'Keep My Version', 'Load From Disk'],
+      defaultId: 0,
+      cancelId: 1
+    }).then(result => {
+      state.externalChangePending = false;
+
+      if (result.response === 0) {
+        openMergeWindow(win, state, bufferContent, diskContent);
+      } else if (result.response === 1) {
+        // Accept the disk version as the new base so we don't ask again
+        state.diskContent = diskContent;
+      } else {
+        createVersion(state.currentFilePath, bufferContent, 'before-reload');
+        reloadFromDisk(win, state, diskContent);
+      }
+    });
   });
 }
 
+// Replace the buffer with the disk version and mark it clean
+function reloadFromDisk(win, state, diskContent) {
+  state.diskContent = diskContent;
+  state.hasUnsavedChanges = false;
+  win.webContents.send('reload-from-disk', diskContent);
+  updateWindowTitle(win, false);
+}
+
+// Open the compare window in three-way merge mode (base / mine / theirs) for the active tab
+function openMergeWindow(win, state, bufferContent, diskContent) {
+  state.compareRequest = {
+    merge: {
+      tabId: state.activeTabId, // The result goes back into this tab, whichever is active by then
+      base: state.diskContent,
+      mine: bufferContent,
+      theirs: diskContent,
+      fileName: path.basename(state.currentFilePath)
+    }
+  };
+  showCompareWindow(win, state);
+}
+
+// ==========================================
+// Session Restore
+// ==========================================
+
+// Check that saved bounds still overlap a connected display
+function isOnScreen(bounds) {
+  if (!bounds || typeof bounds.width !== 'number' || typeof bounds.height !== 'number') return false;
+
+  return screen.getAllDisplays().some(display => {
+    const area = display.workArea;
+    return bounds.x < area.x + area.width && bounds.x + bounds.width > area.x &&
+           bounds.y < area.y + area.height && bounds.y + bounds.height > area.y;
+  });
+}
+
+// Write every open editor window to session.json
+function saveSession() {
+  if (!restoreSessionEnabled || windows.size === 0) return;
+
+  const sessionWindows = [];
+  windows.forEach(state => {
+    const win = state.window;
+    if (!win || win.isDestroyed()) return;
+
+    sessionWindows.push(Object.assign({}, state.sessionState, {
+      bounds: win.getNormalBounds(),
+      maximized: win.isMaximized(),
+      filePath: state.currentFilePath, // The active tab
+      tabs: state.tabs.map(tab => getTabDocument(state, tab.id).currentFilePath).filter(Boolean)
+    }));
+  });
+
+  try {
+    fs.writeFileSync(sessionPath, JSON.stringify({ windows: sessionWindows }, null, 2), 'utf-8');
+  } catch (err) {
+    console.error('Error saving session:', err);
+  }
+}
+
+// Read the saved window list, dropping files that no longer exist
+function loadSession() {
+  try {
+    if (!fs.existsSync(sessionPath)) return [];
+
+    const session = JSON.parse(fs.readFileSync(sessionPath, 'utf-8'));
+    if (!Array.isArray(session.windows)) return [];
+
+    return session.windows.map(entry => {
+      // Sessions saved before tabs existed only have filePath
+      const tabs = Array.isArray(entry.tabs) ? entry.tabs : [entry.filePath];
+      return Object.assign({}, entry, {
+        filePath: entry.filePath && fs.existsSync(entry.filePath) ? entry.filePath : null,
+        tabs: tabs.filter(filePath => filePath && fs.existsSync(filePath))
+      });
+    });
+  } catch (err) {
+    console.error('Error loading session:', err);
+    return [];
+  }
+}
+
+// Reopen the tabs and workspace and hand the saved layout to a freshly loaded window
+function applySessionToWindow(win, session) {
+  session.tabs.forEach(filePath => openFileByPath(win, filePath));
+  if (session.filePath) {
+    // Already open, so this just brings the active tab back to the front
+    openFileByPath(win, session.filePath);
+  }
+
+  if (session.workspacePath && fs.existsSync(session.workspacePath)) {
+    setWorkspace(win, session.workspacePath);
+  }
+
+  win.webContents.send('restore-session-state', {
+    mode: session.mode,
+    cursor: session.cursor,
+    editorScrollTop: session.editorScrollTop,
+    previewScrollTop: session.previewScrollTop,
+    leftSidebar: session.leftSidebar,
+    minimap: session.minimap,
+    versionSidebar: session.versionSidebar
+  });
+}
+
+// Renderer reports layout changes (debounced) so they can be saved at quit
+ipcMain.on('session-state', (event, sessionState) => {
+  const state = getWindowStateFromEvent(event);
+  if (state) {
+    state.sessionState = sessionState;
+  }
+});
+
+app.on('before-quit', () => {
+  saveSession();
+  isQuitting = true;
+});
+
+// ==========================================
+// Crash Recovery
+// ==========================================
+
+/**
+ * Write a window's unsaved buffer to the recovery journal
+ *
+ * Journals live in userData/recovery/<recoveryId>.json and are deleted when
+ * the buffer is saved or the window closes normally, so anything left there
+ * at startup was lost in a crash.
+ *
+ * @param {Object} state - Window state
+ * @param {Object} snapshot - { content, cursor, scrollTop, mode } from the renderer
+ */
+function writeRecoveryJournal(state, snapshot) {
+  const hash = getFileHash(`${state.currentFilePath}\n${snapshot.content}`);
+  if (hash === state.lastRecoveryHash) return;
+
+  try {
+    if (!fs.existsSync(recoveryDir)) {
+      fs.mkdirSync(recoveryDir, { recursive: true });
+    }
+    const journal = {
+      filePath: state.currentFilePath,
+      content: snapshot.content,
+      cursor: snapshot.cursor,
+      scrollTop: snapshot.scrollTop,
+      mode: snapshot.mode,
+      savedAt: new Date().toISOString()
+    };
+    writeFileAtomic(path.join(recoveryDir, `${state.recoveryId}.json`), JSON.stringify(journal));
+    state.lastRecoveryHash = hash;
+  } catch (err) {
+    console.error('Error writing recovery journal:', err);
+  }
+}
+
+function removeRecoveryJournal(state) {
+  if (state.lastRecoveryHash === null) return;
+
+  try {
+    fs.rmSync(path.join(recoveryDir, `${state.recoveryId}.json`), { force: true });
+    state.lastRecoveryHash = null;
+  } catch (err) {
+    console.error('Error removing recovery journal:', err);
+  }
+}
+
+// Load journals left behind by a previous session (newest first)
+function loadRecoveryJournals() {
+  if (!fs.existsSync(recoveryDir)) return [];
+
+  const journals = [];
+  fs.readdirSync(recoveryDir).forEach(name => {
+    if (!name.endsWith('.json')) return;
+    const journalPath = path.join(recoveryDir, name);
+    try {
+      const journal = JSON.parse(fs.readFileSync(journalPath, 'utf-8'));
+      if (typeof journal.content === 'string') {
+        journals.push(Object.assign(journal, { journalPath }));
+      }
+    } catch (err) {
+      console.error('Skipping unreadable recovery journal:', name, err);
+    }
+  });
+
+  return journals.sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+}
+
+// Describe one journal for the recovery dialog, with a short diff against the file on disk
+function describeRecoveryJournal(journal) {
+  const savedAt = journal.savedAt ? new Date(journal.savedAt).toLocaleString() : 'unknown time';
+
+  if (!journal.filePath) {
+    const lines = journal.content.split('\n').length;
+    return `• Untitled note (${lines} lines), saved ${savedAt}`;
+  }
+
+  const name = path.basename(journal.filePath);
+  const diskContent = readDiskContent(journal.filePath);
+  if (diskContent === null) {
+    return `• ${name} (file no longer exists), saved ${savedAt}`;
+  }
+
+  const changes = summarizeLineChanges(diskContent, journal.content);
+  if (changes.added === 0 && changes.removed === 0) {
+    return `• ${name}, saved ${savedAt}\n    Same as the file on disk`;
+  }
+
+  const preview = changes.preview.map(line => `    ${line.length > 70 ? line.slice(0, 70) + '…' : line}`);
+  return [
+    `• ${name}, saved ${savedAt}`,
+    `    +${changes.added} / -${changes.removed} lines compared to the file on disk`,
+    ...preview
+  ].join('\n');
+}
+
+// Load a journaled buffer into a tab and mark it unsaved
+function applyRecoveryJournal(win, journal) {
+  const state = getWindowState(win);
+  if (!state) return;
+
+  // Reopen the original file so saving goes back to it; missing files come back as untitled
+  if (journal.filePath && fs.existsSync(journal.filePath)) {
+    openFileByPath(win, journal.filePath);
+  } else if (!isPristineTab(state)) {
+    addTab(win);
+  }
+
+  state.hasUnsavedChanges = true;
+  win.webContents.send('recover-buffer', {
+    content: journal.content,
+    cursor: journal.cursor,
+    scrollTop: journal.scrollTop,
+    mode: journal.mode
+  });
+  updateWindowTitle(win, true);
+}
+
+/**
+ * Offer to recover unsaved documents from a session that crashed
+ *
+ * Each document opens in a tab of `win` (reusing its empty untitled tab).
+ * "Ask Me Later" leaves the journals for the next launch.
+ *
+ * @param {BrowserWindow} win - The startup window (already loaded)
+ */
+function offerCrashRecovery(win) {
+  const journals = loadRecoveryJournals();
+  if (journals.length === 0) return;
+
+  dialog.showMessageBox(win, {
+    type: 'warning',
+    title: 'Recover Unsaved Documents',
+    message: `Nthing didn't close properly last time. ${journals.length} document${journals.length > 1 ? 's have' : ' has'} unsaved changes:`,
+    detail: journals.map(describeRecoveryJournal).join('\n\n'),
+    buttons: ['Recover', 'Discard', 'Ask Me Later'],
+    defaultId: 0,
+    cancelId: 2
+  }).then(result => {
+    if (result.response === 2) return;
+
+    if (result.response === 0) {
+      journals.forEach(journal => applyRecoveryJournal(win, journal));
+    }
+
+    // Recovered buffers are journaled again by their new tabs
+    journals.forEach(journal => {
+      fs.rmSync(journal.journalPath, { force: true });
+    });
+  });
+}
+
+// Renderer answers recovery-snapshot-request with the buffers of all its tabs
+ipcMain.on('recovery-snapshot', (event, snapshots) => {
+  const state = getWindowStateFromEvent(event);
+  if (!state) return;
+
+  state.tabs.forEach(tab => {
+    const doc = getTabDocument(state, tab.id);
+    const snapshot = snapshots.find(s => s.tabId === tab.id);
+    if (doc.hasUnsavedChanges && snapshot) {
+      writeRecoveryJournal(doc, snapshot);
+    } else {
+      removeRecoveryJournal(doc);
+    }
+  });
+});
+
 // ==========================================
 // Workspace Management
 // ==========================================
@@ -1561,73 +3003,607 @@ function buildFileTree(dirPath, depth = 0, maxDepth = 10) {
       // Only include accepted file types
       if (!isAcceptedFile(name)) return null;
 
-      return {
-        type: 'file',
-        name: name,
-        path: dirPath
-      };
-    }
-  } catch (err) {
-    console.error('Error building file tree:', err);
-    return null;
+      return {
+        type: 'file',
+        name: name,
+        path: dirPath
+      };
+    }
+  } catch (err) {
+    console.error('Error building file tree:', err);
+    return null;
+  }
+}
+
+// Open workspace folder
+function openWorkspace(win) {
+  dialog.showOpenDialog(win, {
+    properties: ['openDirectory'],
+    title: 'Select Workspace Folder'
+  }).then(result => {
+    if (!result.canceled && result.filePaths.length > 0) {
+      setWorkspace(win, result.filePaths[0]);
+    }
+  }).catch(err => {
+    console.error('Error opening workspace:', err);
+  });
+}
+
+// Open a workspace folder in a window: file tree and note index
+function setWorkspace(win, workspacePath) {
+  const state = getWindowState(win);
+  if (!state) return;
+
+  state.workspacePath = workspacePath;
+
+  // Build file tree
+  const fileTree = buildFileTree(workspacePath);
+  state.fileTree = fileTree;
+
+  // Send to renderer
+  win.webContents.send('workspace-opened', {
+    workspacePath: workspacePath,
+    fileTree: fileTree ? fileTree.children : []
+  });
+
+  indexWorkspaceNotes(win, fileTree);
+}
+
+/**
+ * Add a new file to the workspace's file tree and show it, without walking
+ * the whole workspace again
+ *
+ * Files outside the tree (an ignored or too deeply nested folder) are skipped,
+ * as buildFileTree() would skip them.
+ */
+function addFileToTree(win, filePath) {
+  const state = getWindowState(win);
+  if (!state || !state.fileTree || !isAcceptedFile(filePath)) return;
+
+  const findFolder = (node, folderPath) => {
+    if (node.type !== 'folder') return null;
+    if (node.path === folderPath) return node;
+    for (const child of node.children) {
+      const found = findFolder(child, folderPath);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const folder = findFolder(state.fileTree, path.dirname(filePath));
+  if (!folder || folder.children.some(child => child.path === filePath)) return;
+
+  folder.children.push({ type: 'file', name: path.basename(filePath), path: filePath });
+  folder.children.sort((a, b) => {
+    if (a.type === b.type) {
+      return a.name.localeCompare(b.name);
+    }
+    return a.type === 'folder' ? -1 : 1;
+  });
+
+  win.webContents.send('workspace-tree-updated', { fileTree: state.fileTree.children });
+}
+
+// ==========================================
+// Wikilinks, Backlinks and Tags
+// ==========================================
+// Each window keeps an index of its workspace's notes: file name, frontmatter
+// aliases, outgoing links and tags (links.js). The renderer resolves [[links]]
+// in the preview against the names and aliases, sent to it as 'workspace-notes';
+// main answers backlink and tag queries from the rest. Notes that don't exist
+// yet can be created from a link.
+
+const noteExtensions = ['.md', '.markdown'];
+
+function isNoteFile(filePath) {
+  return noteExtensions.includes(path.extname(filePath).toLowerCase());
+}
+
+function isInsideWorkspace(state, filePath) {
+  if (!state.workspacePath) return false;
+  const relative = path.relative(state.workspacePath, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Flatten a buildFileTree() result into the note files it contains
+function collectNoteFiles(tree, files = []) {
+  if (!tree) return files;
+  if (tree.type === 'file') {
+    if (isNoteFile(tree.path)) files.push(tree.path);
+  } else {
+    (tree.children || []).forEach(child => collectNoteFiles(child, files));
+  }
+  return files;
+}
+
+function stopNoteIndexing(state) {
+  if (state.indexWorker) {
+    state.indexWorker.terminate();
+    state.indexWorker = null;
+    state.noteIndexUpdates = null;
+  }
+}
+
+/**
+ * Rebuild the window's note index from the workspace's file tree
+ *
+ * Notes are read in a worker thread (note-index-worker.js). The old index is
+ * cleared straight away; notes saved while the worker runs are kept aside and
+ * win over what it read, since it may have read them before the save.
+ */
+function indexWorkspaceNotes(win, fileTree) {
+  const state = getWindowState(win);
+  if (!state) return;
+
+  stopNoteIndexing(state);
+  state.noteIndex = new Map();
+  state.noteLookup = null;
+  sendNoteIndex(win);
+
+  const worker = new Worker(path.join(__dirname, 'note-index-worker.js'), {
+    workerData: { files: collectNoteFiles(fileTree) }
+  });
+  state.indexWorker = worker;
+  state.noteIndexUpdates = new Map();
+
+  worker.on('message', message => {
+    if (state.indexWorker !== worker || message.type !== 'done') return;
+
+    const noteIndex = new Map(message.notes.map(note => [note.path, note]));
+    state.noteIndexUpdates.forEach((entry, filePath) => noteIndex.set(filePath, entry));
+    state.indexWorker = null;
+    state.noteIndexUpdates = null;
+    state.noteIndex = noteIndex;
+    state.noteLookup = null;
+    if (!win.isDestroyed()) {
+      sendNoteIndex(win);
+    }
+  });
+
+  worker.on('error', err => {
+    console.error('Indexing workspace notes failed:', err);
+    if (state.indexWorker !== worker) return;
+    state.indexWorker = null;
+    state.noteIndexUpdates = null;
+  });
+}
+
+// The renderer only needs names and aliases to resolve wikilinks
+function sendNoteIndex(win) {
+  const state = getWindowState(win);
+  if (!state) return;
+  const notes = Array.from(state.noteIndex.values()).map(note => ({
+    path: note.path,
+    name: note.name,
+    aliases: note.aliases
+  }));
+  win.webContents.send('workspace-notes', notes);
+}
+
+// Keep the index current when a note in the workspace is saved (new note, aliases, links)
+function updateNoteIndexEntry(win, filePath, content) {
+  const state = getWindowState(win);
+  if (!state || !isInsideWorkspace(state, filePath) || !isNoteFile(filePath)) return;
+
+  const entry = createNoteIndexEntry(filePath, content);
+  const previous = state.noteIndex.get(filePath);
+  state.noteIndex.set(filePath, entry);
+  if (state.noteIndexUpdates) {
+    state.noteIndexUpdates.set(filePath, entry);
+  }
+  if (!previous || previous.aliases.join('\n') !== entry.aliases.join('\n')) {
+    state.noteLookup = null; // Names or aliases changed
+    sendNoteIndex(win);
+  }
+}
+
+/**
+ * Find the workspace notes that link to a file
+ *
+ * Wikilinks are resolved the way the preview resolves them, relative
+ * markdown links against the linking note's folder.
+ *
+ * @returns {Array<{path: string, name: string, references: Array<{line: number, context: string}>}>}
+ *   Linking notes sorted by name, each with the lines that link
+ */
+function findBacklinks(state, filePath) {
+  if (!state.noteLookup) {
+    state.noteLookup = createNoteLookup(Array.from(state.noteIndex.values()));
+  }
+  const backlinks = [];
+
+  state.noteIndex.forEach(note => {
+    if (note.path === filePath) return;
+
+    const references = note.links.filter(link => {
+      if (link.type === 'wiki') {
+        const target = findNoteInLookup(state.noteLookup, link.target, note.path);
+        return target !== null && target.path === filePath;
+      }
+      return path.resolve(path.dirname(note.path), link.target) === filePath;
+    }).map(link => ({ line: link.line, context: link.context }));
+
+    if (references.length > 0) {
+      backlinks.push({ path: note.path, name: note.name, references: references });
+    }
+  });
+
+  return backlinks.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Group the workspace's notes by tag
+ *
+ * Tags differing only in case are merged, under the spelling seen first.
+ * Nested tags are listed as written; the renderer builds the tree.
+ *
+ * @returns {Array<{name: string, notes: Array<{path: string, name: string}>}>} Sorted by tag
+ */
+function buildTagIndex(state) {
+  const tags = new Map(); // lowercase tag -> entry
+
+  state.noteIndex.forEach(note => {
+    note.tags.forEach(tag => {
+      const key = tag.toLowerCase();
+      if (!tags.has(key)) {
+        tags.set(key, { name: tag, notes: [] });
+      }
+      tags.get(key).notes.push({ path: note.path, name: note.name });
+    });
+  });
+
+  return Array.from(tags.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create the note an unresolved wikilink points to, after asking
+ *
+ * The file name comes from newNoteFilenameTemplate. The note goes next to
+ * the current file when that is in the workspace, otherwise in the
+ * workspace root (or next to the current file when no workspace is open).
+ */
+function createNoteFromWikilink(win, page) {
+  const state = getWindowState(win);
+  if (!state) return;
+
+  let folder = null;
+  if (state.currentFilePath && (!state.workspacePath || isInsideWorkspace(state, state.currentFilePath))) {
+    folder = path.dirname(state.currentFilePath);
+  } else if (state.workspacePath) {
+    folder = state.workspacePath;
+  }
+
+  if (!folder) {
+    dialog.showMessageBox(win, {
+      type: 'info',
+      title: 'Note Not Found',
+      message: `There is no note called "${page}".`,
+      detail: 'Open a workspace folder or save this note first, so Nthing knows where to create it.',
+      buttons: ['OK']
+    });
+    return;
+  }
+
+  const fileName = `${processFilenameTemplate(newNoteFilenameTemplate, page)}.md`;
+  const filePath = path.join(folder, fileName);
+
+  // Same name after sanitizing, e.g. [[My Note]] and an existing My-Note.md
+  if (fs.existsSync(filePath)) {
+    openFileByPath(win, filePath);
+    return;
+  }
+
+  dialog.showMessageBox(win, {
+    type: 'question',
+    title: 'Create Note',
+    message: `"${page}" doesn't exist yet. Create it?`,
+    detail: filePath,
+    buttons: ['Create', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1
+  }).then(result => {
+    if (result.response !== 0) return;
+
+    const content = `# ${page}\n\n`;
+    try {
+      writeFileAtomic(filePath, content);
+    } catch (err) {
+      dialog.showMessageBox(win, {
+        type: 'error',
+        title: 'Error Creating Note',
+        message: `Could not create ${fileName}: ${err.message}`,
+        buttons: ['OK']
+      });
+      return;
+    }
+
+    // Show the new note in the tree and resolve links to it
+    addFileToTree(win, filePath);
+    updateNoteIndexEntry(win, filePath, content);
+    openFileByPath(win, filePath);
+  });
+}
+
+// Open a resolved wikilink's note, then scroll to the #heading it names (if any)
+ipcMain.on('open-wikilink', (event, { filePath, heading }) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (!win) return;
+
+  openFileByPath(win, filePath);
+  if (heading) {
+    win.webContents.send('scroll-to-heading', heading);
+  }
+});
+
+ipcMain.on('create-wikilink-note', (event, page) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (win) createNoteFromWikilink(win, page);
+});
+
+// Backlinks panel asks for the notes linking to the file it shows
+ipcMain.on('get-backlinks', (event, filePath) => {
+  const state = getWindowStateFromEvent(event);
+  if (!state) return;
+
+  event.sender.send('backlinks', {
+    filePath: filePath,
+    hasWorkspace: state.workspacePath !== null,
+    backlinks: filePath ? findBacklinks(state, filePath) : []
+  });
+});
+
+// Tags panel asks for every tag in the workspace with its notes
+ipcMain.on('get-tags', (event) => {
+  const state = getWindowStateFromEvent(event);
+  if (!state) return;
+
+  event.sender.send('tags', {
+    hasWorkspace: state.workspacePath !== null,
+    tags: buildTagIndex(state)
+  });
+});
+
+// Open a note from the backlinks panel at the line that links
+ipcMain.on('open-file-at-line', (event, { filePath, line, column }) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (!win) return;
+
+  openFileByPath(win, filePath);
+  win.webContents.send('go-to-line', line, column || 0);
+});
+
+// ==========================================
+// Find in Workspace
+// ==========================================
+// Searches every accepted text file under the workspace (same ignoredFolders as
+// the file tree) in a worker thread, search-worker.js, so thousands of notes
+// don't block the main process. Starting a search stops the window's previous
+// one; results are forwarded to the renderer in batches as they come in.
+
+const SEARCH_MAX_RESULTS = 5000;
+
+// .docx files are binary, only the text formats are searched
+const searchExtensions = acceptedExtensions.filter(ext => ext !== '.docx');
+
+function stopWorkspaceSearch(state) {
+  if (state.searchWorker) {
+    state.searchWorker.terminate();
+    state.searchWorker = null;
   }
 }
 
-// Open workspace folder
-function openWorkspace(win) {
-  dialog.showOpenDialog(win, {
-    properties: ['openDirectory'],
-    title: 'Select Workspace Folder'
-  }).then(result => {
-    if (!result.canceled && result.filePaths.length > 0) {
-      const workspacePath = result.filePaths[0];
+/**
+ * Start a workspace search, replacing any search still running in the window
+ *
+ * Sends 'workspace-search-results' messages tagged with searchId:
+ * {type: 'results', files}, then {type: 'done', ...counts} or {type: 'error', message}.
+ */
+function startWorkspaceSearch(win, { searchId, query, options }) {
+  const state = getWindowState(win);
+  if (!state) return;
 
-      // Build file tree
-      const fileTree = buildFileTree(workspacePath);
+  stopWorkspaceSearch(state);
 
-      // Send to renderer
-      win.webContents.send('workspace-opened', {
-        workspacePath: workspacePath,
-        fileTree: fileTree ? fileTree.children : []
-      });
+  if (!state.workspacePath) {
+    win.webContents.send('workspace-search-results', {
+      type: 'error',
+      searchId,
+      message: 'No workspace open'
+    });
+    return;
+  }
+
+  const worker = new Worker(path.join(__dirname, 'search-worker.js'), {
+    workerData: {
+      searchId,
+      root: state.workspacePath,
+      query,
+      options,
+      ignoredFolders,
+      extensions: searchExtensions,
+      maxResults: SEARCH_MAX_RESULTS
     }
-  }).catch(err => {
-    console.error('Error opening workspace:', err);
+  });
+  state.searchWorker = worker;
+
+  worker.on('message', message => {
+    if (state.searchWorker !== worker || win.isDestroyed()) return;
+    if (message.type !== 'results') {
+      state.searchWorker = null;
+    }
+    win.webContents.send('workspace-search-results', message);
+  });
+
+  worker.on('error', err => {
+    console.error('Workspace search failed:', err);
+    if (state.searchWorker !== worker || win.isDestroyed()) return;
+    state.searchWorker = null;
+    win.webContents.send('workspace-search-results', {
+      type: 'error',
+      searchId,
+      message: err.message
+    });
   });
 }
 
+ipcMain.on('search-workspace', (event, request) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (win) startWorkspaceSearch(win, request);
+});
+
+ipcMain.on('cancel-workspace-search', (event) => {
+  const state = getWindowStateFromEvent(event);
+  if (state) stopWorkspaceSearch(state);
+});
+
 // Handle save content from renderer
-ipcMain.on('save-content', (event, content) => {
+ipcMain.on('save-content', (event, content, tabId) => {
   const win = BrowserWindow.fromWebContents(event.sender);
   const state = getWindowState(win);
   if (!state) return;
 
-  if (state.currentFilePath) {
+  // The tab was switched while the content was on its way, don't write it to the wrong file
+  if (!state.currentFilePath || tabId !== state.activeTabId) {
+    finishPendingSaves(state, false);
+    return;
+  }
+
+  // The watcher polls, so check once more that nobody changed the file since we loaded it
+  const diskContent = state.diskContent !== null ? readDiskContent(state.currentFilePath) : null;
+  if (diskContent !== null && diskContent !== state.diskContent && diskContent !== content) {
+    dialog.showMessageBox(win, {
+      type: 'warning',
+      title: 'File Changed on Disk',
+      message: `"${path.basename(state.currentFilePath)}" was changed by another program since you opened it.`,
+      detail: 'Saving now will overwrite those changes.',
+      buttons: ['Merge...', 'Overwrite', 'Cancel'],
+      defaultId: 0,
+      cancelId: 2
+    }).then(result => {
+      if (result.response === 1) {
+        finishPendingSaves(state, writeFileContent(win, state, content));
+        return;
+      }
+      if (result.response === 0) {
+        openMergeWindow(win, state, content, diskContent);
+      }
+      finishPendingSaves(state, false);
+    });
+    return;
+  }
+
+  finishPendingSaves(state, writeFileContent(win, state, content));
+});
+
+/**
+ * Write a file so that it is never left half-written
+ *
+ * The content goes to a temp file in the same folder, is flushed to disk and
+ * then renamed over the target, so a crash leaves either the old or the new
+ * file. The original permissions are kept, symlinks are followed, and the
+ * temp file is read back before the rename to make sure it matches.
+ *
+ * @param {string} filePath - File to write
+ * @param {string} content - Text to write (UTF-8)
+ * @throws {Error} If any step fails; the original file is untouched
+ */
+function writeFileAtomic(filePath, content) {
+  let targetPath = filePath;
+  let mode = null;
+
+  if (fs.existsSync(filePath)) {
+    // Write through symlinks instead of replacing the link with a plain file
+    targetPath = fs.realpathSync(filePath);
+    mode = fs.statSync(targetPath).mode & 0o7777;
+  }
+
+  const tempPath = path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.${process.pid}.${Date.now()}.tmp`);
+
+  try {
+    const fd = fs.openSync(tempPath, 'w', mode !== null ? mode : 0o666);
     try {
-      fs.writeFileSync(state.currentFilePath, content, 'utf-8');
-      state.lastSaveTime = Date.now();
-      state.hasUnsavedChanges = false; // Reset unsaved changes flag
-      addToRecentFiles(state.currentFilePath);
+      fs.writeFileSync(fd, content, 'utf-8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // openSync applies the umask, so set the original mode explicitly
+    if (mode !== null) {
+      fs.chmodSync(tempPath, mode);
+    }
 
-      // Create version after successful save
-      createVersion(state.currentFilePath, content, 'manual-save');
+    if (fs.readFileSync(tempPath, 'utf-8') !== content) {
+      throw new Error('The saved file does not match the editor content');
+    }
+
+    fs.renameSync(tempPath, targetPath);
+  } catch (err) {
+    try {
+      fs.unlinkSync(tempPath);
+    } catch (cleanupErr) {
+      // Temp file was never created or is already gone
+    }
+    throw err;
+  }
 
-      win.webContents.send('file-saved', state.currentFilePath);
-      updateWindowTitle(win, false); // Just saved, not unsaved
+  // Make the rename itself durable (not supported for directories on Windows)
+  if (process.platform !== 'win32') {
+    try {
+      const dirFd = fs.openSync(path.dirname(targetPath), 'r');
+      fs.fsyncSync(dirFd);
+      fs.closeSync(dirFd);
     } catch (err) {
-      console.error('Error saving file:', err);
+      console.error('Could not sync folder after save:', err);
     }
   }
-});
+}
+
+/**
+ * Write the buffer to the window's file and create a backup
+ *
+ * On failure the renderer gets `save-failed` and the document stays unsaved.
+ *
+ * @returns {boolean} True if the file was written
+ */
+function writeFileContent(win, state, content) {
+  try {
+    writeFileAtomic(state.currentFilePath, content);
+    state.diskContent = content;
+    state.lastSaveTime = Date.now();
+    state.hasUnsavedChanges = false; // Reset unsaved changes flag
+    addToRecentFiles(state.currentFilePath);
+    watchCurrentFile(win);
+    removeRecoveryJournal(state);
+
+    // Create version after successful save
+    createVersion(state.currentFilePath, content, 'manual-save');
+    updateNoteIndexEntry(win, state.currentFilePath, content);
+
+    win.webContents.send('file-saved', state.currentFilePath);
+    updateWindowTitle(win, false); // Just saved, not unsaved
+    return true;
+  } catch (err) {
+    console.error('Error saving file:', err);
+    state.hasUnsavedChanges = true;
+    win.webContents.send('save-failed', err.message);
+    updateWindowTitle(win, true);
+    return false;
+  }
+}
 
 // Handle content changed (mark as unsaved)
-ipcMain.on('content-changed', (event) => {
+ipcMain.on('content-changed', (event, tabId) => {
   const win = BrowserWindow.fromWebContents(event.sender);
   const state = getWindowState(win);
   if (!state) return;
 
-  state.hasUnsavedChanges = true;
-  updateWindowTitle(win, true); // Mark as unsaved
+  // The notification is debounced, so it may arrive after a switch to another tab
+  const doc = getTabDocument(state, tabId);
+  if (!doc) return;
+
+  doc.hasUnsavedChanges = true;
+  updateWindowTitle(win, state.hasUnsavedChanges); // Mark as unsaved
 });
 
 // Handle versioning operations
@@ -1644,17 +3620,128 @@ ipcMain.on('get-versions', (event) => {
   }
 });
 
+// Folder picker for global backup storage (Backup Settings dialog)
+ipcMain.on('choose-backup-folder', (event, currentPath) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (!win) return;
+
+  dialog.showOpenDialog(win, {
+    properties: ['openDirectory', 'createDirectory'],
+    title: 'Select Backup Folder',
+    defaultPath: currentPath || undefined
+  }).then(result => {
+    if (!result.canceled && result.filePaths.length > 0) {
+      event.reply('backup-folder-chosen', result.filePaths[0]);
+    }
+  }).catch(err => {
+    console.error('Error choosing backup folder:', err);
+  });
+});
+
+/**
+ * Apply the Backup Settings dialog
+ *
+ * If the retention policy would delete backups, they are listed for
+ * confirmation first; declining leaves every setting unchanged. Replies
+ * 'backup-settings-result' with whether the settings were applied.
+ */
+ipcMain.on('save-backup-settings', (event, { storageMode, globalPath, retention }) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (!win) return;
+  if (storageMode === 'global' && !globalPath) return; // The dialog doesn't allow it
+
+  const toNumber = (value, fallback) => (Number.isFinite(value) && value >= 0 ? value : fallback);
+  const newRetention = {
+    mode: retention.mode === 'tiered' ? 'tiered' : 'count',
+    allHours: toNumber(retention.allHours, versionRetention.allHours),
+    hourlyDays: toNumber(retention.hourlyDays, versionRetention.hourlyDays),
+    dailyDays: toNumber(retention.dailyDays, versionRetention.dailyDays),
+    weeklyWeeks: toNumber(retention.weeklyWeeks, versionRetention.weeklyWeeks)
+  };
+  const newCount = Math.max(1, Math.round(toNumber(retention.count, versionsToKeep)));
+  const policy = {
+    ...newRetention,
+    count: newCount,
+    cleanupDays: versionAutoCleanup ? versionCleanupDays : 0
+  };
+
+  const affected = previewRetention(policy);
+  const total = affected.reduce((sum, history) => sum + history.versions.length, 0);
+  const confirmed = total === 0 ? Promise.resolve(true) : dialog.showMessageBox(win, {
+    type: 'warning',
+    buttons: [`Delete ${total} Backup${total === 1 ? '' : 's'}`, 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    title: 'Backup Retention',
+    message: `The new retention policy deletes ${total} backup${total === 1 ? '' : 's'} from ${affected.length} note${affected.length === 1 ? '' : 's'}.`,
+    detail: affected.slice(0, 10).map(history => {
+      const oldest = history.versions[0].timestamp.slice(0, 10);
+      const newest = history.versions[history.versions.length - 1].timestamp.slice(0, 10);
+      const range = oldest === newest ? oldest : `${oldest} to ${newest}`;
+      return `${path.basename(history.filePath)}: ${history.versions.length} of ${history.metadata.versions.length} (${range})`;
+    }).join('\n') + (affected.length > 10 ? `\n...and ${affected.length - 10} more notes` : '') +
+      '\n\nPinned backups and the newest backup of each note are kept. Backups kept next to notes that aren\'t open or in an open workspace are pruned the next time those notes are saved.'
+  }).then(result => result.response === 0);
+
+  confirmed.then(apply => {
+    if (apply) {
+      versionStorageMode = storageMode === 'global' ? 'global' : 'local';
+      versionGlobalPath = globalPath || '';
+      legacyHistoryChecked.clear(); // A different folder may hold old by-name histories
+      versionRetention = newRetention;
+      versionsToKeep = newCount;
+      saveSettings();
+
+      // Backups were added and compacted while the dialog was open: work on the
+      // history as it is now and only delete what was listed and is still there
+      affected.forEach(history => {
+        try {
+          if (!fs.existsSync(history.versionDir)) return;
+          const metadata = loadVersionMetadata(history.versionDir);
+          const listed = new Set(history.versions.map(version => version.id));
+          const versions = metadata.versions.filter(version => listed.has(version.id) && !version.pinned);
+          if (versions.length === 0) return;
+
+          const ext = getHistoryExt(history.versionDir, metadata);
+          pruneVersions(history.versionDir, metadata, versions, ext);
+          saveHistory(history.versionDir, metadata, ext);
+        } catch (err) {
+          console.error('Error applying retention policy:', err);
+        }
+      });
+
+      windows.forEach(state => {
+        if (!state.window.isDestroyed()) {
+          state.window.webContents.send('backup-settings-changed');
+        }
+      });
+    }
+    if (!win.isDestroyed()) {
+      event.reply('backup-settings-result', apply);
+    }
+  });
+});
+
+ipcMain.on('set-version-pinned', (event, versionId, pinned) => {
+  const state = getWindowStateFromEvent(event);
+  if (!state || !state.currentFilePath) return;
+
+  if (setVersionPinned(state.currentFilePath, versionId, pinned)) {
+    event.reply('versions-list', getVersions(state.currentFilePath));
+  }
+});
+
 ipcMain.on('restore-version', (event, versionId) => {
   const win = BrowserWindow.fromWebContents(event.sender);
   const state = getWindowState(win);
   if (!state) return;
 
   if (state.currentFilePath && versionId) {
-    const content = restoreVersion(state.currentFilePath, versionId);
-    if (content !== null) {
-      event.reply('version-restored', content);
-    } else {
-      event.reply('version-restore-error', 'Failed to restore version');
+    try {
+      event.reply('version-restored', restoreVersion(state.currentFilePath, versionId));
+    } catch (err) {
+      console.error('Error restoring version:', err);
+      event.reply('version-restore-error', err.message);
     }
   }
 });
@@ -1687,13 +3774,123 @@ ipcMain.on('create-snapshot', (event, content) => {
   }
 });
 
-// Open compare window for backup comparison
-ipcMain.on('open-compare-window', (event, versionId, timestamp) => {
+/**
+ * Load the text for one side of a comparison
+ *
+ * @param {BrowserWindow} win - Editor window that owns the file
+ * @param {Object} state - Window state for that editor
+ * @param {Object} source - { kind: 'buffer' | 'disk' | 'version', versionId, timestamp }
+ * @returns {Promise<{content: string, label: string}|null>} Null if the text could not be read
+ */
+function resolveCompareSide(win, state, source) {
+  if (source.kind === 'buffer') {
+    // Ask the editor for its live (possibly unsaved) content
+    return requestBufferContent(win).then(content => {
+      return { content: content, label: 'Current (what you have now)' };
+    });
+  }
+
+  if (source.kind === 'disk') {
+    try {
+      const content = fs.readFileSync(state.currentFilePath, 'utf-8');
+      return Promise.resolve({ content: content, label: 'File on disk (last saved)' });
+    } catch (err) {
+      console.error('Error reading file for compare:', err);
+      return Promise.resolve(null);
+    }
+  }
+
+  let content;
+  try {
+    content = restoreVersion(state.currentFilePath, source.versionId);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  const when = source.timestamp ? ` (${source.timestamp})` : '';
+  return Promise.resolve({ content: content, label: `Backup ${source.versionId}${when}` });
+}
+
+// Resolve both sides of the window's pending comparison and send them to the compare window
+function sendCompareData(win, state) {
+  const request = state.compareRequest;
+  if (!request || !state.compareWindow) return;
+
+  if (request.merge) {
+    state.compareWindow.webContents.send('compare-data', Object.assign({ mode: 'merge' }, request.merge));
+    return;
+  }
+
+  if (!state.currentFilePath) return;
+
+  Promise.all([
+    resolveCompareSide(win, state, request.left),
+    resolveCompareSide(win, state, request.right)
+  ]).then(([left, right]) => {
+    // Skip if the window closed or another comparison was requested meanwhile
+    if (!left || !right || !state.compareWindow || state.compareRequest !== request) return;
+
+    state.compareWindow.webContents.send('compare-data', {
+      current: left.content,
+      backup: right.content,
+      versionId: request.right.versionId,
+      timestamp: request.right.timestamp,
+      currentLabel: left.label,
+      backupLabel: right.label,
+      // Restoring only makes sense when the left side is the editor buffer
+      readOnly: request.left.kind !== 'buffer'
+    });
+  }).catch(err => {
+    // A missing or damaged backup: say so instead of leaving the window empty
+    console.error('Error loading comparison:', err);
+    if (state.compareWindow && state.compareRequest === request) {
+      state.compareWindow.close();
+    }
+    if (!win.isDestroyed()) {
+      dialog.showMessageBox(win, {
+        type: 'error',
+        title: 'Backup Unavailable',
+        message: "This backup can't be opened.",
+        detail: err.message,
+        buttons: ['OK']
+      });
+    }
+  });
+}
+
+/**
+ * Open (or reuse) the compare window for a backup
+ *
+ * `against` picks the left-hand side: the live buffer (default), the file on
+ * disk ('disk'), or another backup ({ versionId, timestamp }). Only buffer
+ * comparisons allow restoring lines.
+ */
+ipcMain.on('open-compare-window', (event, versionId, timestamp, against) => {
   const win = BrowserWindow.fromWebContents(event.sender);
   const state = getWindowState(win);
-  if (!state) return;
+  if (!state || !versionId) return;
+
+  let left = { kind: 'buffer' };
+  if (against === 'disk') {
+    left = { kind: 'disk' };
+  } else if (against && against.versionId) {
+    left = { kind: 'version', versionId: against.versionId, timestamp: against.timestamp };
+  }
 
+  state.compareRequest = {
+    left: left,
+    right: { kind: 'version', versionId: versionId, timestamp: timestamp }
+  };
+
+  showCompareWindow(win, state);
+});
+
+// Show the compare window for state.compareRequest, reusing an open one
+function showCompareWindow(win, state) {
   if (state.compareWindow) {
+    // Reuse the open window; if it is still loading, did-finish-load picks up the new request
+    if (!state.compareWindow.webContents.isLoading()) {
+      sendCompareData(win, state);
+    }
     state.compareWindow.focus();
     return;
   }
@@ -1723,29 +3920,54 @@ ipcMain.on('open-compare-window', (event, versionId, timestamp) => {
 
   state.compareWindow.on('closed', () => {
     state.compareWindow = null;
+    state.compareRequest = null;
   });
 
   // Once loaded, send comparison data
   state.compareWindow.webContents.on('did-finish-load', () => {
-    if (state.currentFilePath && versionId) {
-      // Get current content from main window
-      win.webContents.send('get-current-content-for-compare');
-
-      // Wait for current content response
-      ipcMain.once('current-content-response', (e, currentContent) => {
-        // Get backup content
-        const backupContent = restoreVersion(state.currentFilePath, versionId);
-
-        if (backupContent !== null && state.compareWindow) {
-          state.compareWindow.webContents.send('compare-data', {
-            current: currentContent,
-            backup: backupContent,
-            versionId: versionId,
-            timestamp: timestamp
-          });
-        }
+    sendCompareData(win, state);
+  });
+}
+
+// Apply a finished three-way merge to the editor
+ipcMain.on('apply-merge', (event, content) => {
+  const compareWin = BrowserWindow.fromWebContents(event.sender);
+  const parentWin = compareWin ? compareWin.getParentWindow() : null;
+  const state = getWindowState(parentWin);
+  if (!state || !state.compareRequest || !state.compareRequest.merge) return;
+
+  const merge = state.compareRequest.merge;
+  const tabId = merge.tabId;
+  if (!state.tabs.some(tab => tab.id === tabId)) return; // Its tab was closed, nothing to merge into
+  activateTab(parentWin, tabId);
+
+  // The merge was built from the buffer as it was when the merge window opened,
+  // so applying it over later edits would lose them: merge again instead
+  requestBufferContent(parentWin).then(bufferContent => {
+    if (parentWin.isDestroyed() || state.activeTabId !== tabId) return;
+
+    if (bufferContent !== merge.mine) {
+      dialog.showMessageBox(parentWin, {
+        type: 'warning',
+        title: 'Merge Not Applied',
+        message: `"${merge.fileName}" was edited while the merge window was open.`,
+        detail: 'Applying the merge would undo those edits. Merge again with your current text, or keep it as it is.',
+        buttons: ['Merge Again...', 'Keep Current Text'],
+        defaultId: 0,
+        cancelId: 1
+      }).then(result => {
+        if (result.response !== 0 || parentWin.isDestroyed() || state.activeTabId !== tabId) return;
+        const diskContent = readDiskContent(state.currentFilePath);
+        openMergeWindow(parentWin, state, bufferContent, diskContent !== null ? diskContent : merge.theirs);
       });
+      return;
     }
+
+    // The disk version is now merged into the buffer, so it becomes the new base
+    state.diskContent = merge.theirs;
+    state.hasUnsavedChanges = true;
+    parentWin.webContents.send('merge-applied', content);
+    updateWindowTitle(parentWin, true);
   });
 });
 
@@ -1854,39 +4076,7 @@ ipcMain.on('save-dropped-image', (event, { data, type, name }) => {
 // Handle dropped text file
 ipcMain.on('open-dropped-file', (event, filePath) => {
   const win = BrowserWindow.fromWebContents(event.sender);
-  const state = getWindowState(win);
-  if (!state) return;
-
-  // Check for unsaved changes before opening
-  if (state.hasUnsavedChanges) {
-    dialog.showMessageBox(win, {
-      type: 'warning',
-      title: 'Unsaved Changes',
-      message: 'You have unsaved changes. Do you want to save before opening this file?',
-      buttons: ['Save', 'Don\'t Save', 'Cancel'],
-      defaultId: 0,
-      cancelId: 2
-    }).then(result => {
-      if (result.response === 0) {
-        // Save
-        win.webContents.send('save-file-request');
-        // Wait for save to complete, then open dropped file
-        const saveHandler = () => {
-          ipcMain.removeListener('save-content', saveHandler);
-          setTimeout(() => {
-            openFileByPath(win, filePath);
-          }, 100);
-        };
-        ipcMain.once('save-content', saveHandler);
-      } else if (result.response === 1) {
-        // Don't Save
-        openFileByPath(win, filePath);
-      }
-      // If Cancel (response === 2), do nothing
-    });
-  } else {
-    openFileByPath(win, filePath);
-  }
+  if (win) openFileByPath(win, filePath);
 });
 
 // File tree IPC handlers
@@ -1895,6 +4085,7 @@ ipcMain.on('open-workspace', (event) => {
   if (win) openWorkspace(win);
 });
 
+// Files from the tree open in a new tab (or switch to the tab that already has them)
 ipcMain.on('open-file-from-tree', (event, filePath) => {
   const win = BrowserWindow.fromWebContents(event.sender);
   if (win) openFileByPath(win, filePath);
@@ -2091,9 +4282,38 @@ ipcMain.on('print-to-pdf', async (event, data) => {
 // Helper Functions
 // ==========================================
 
+let katexPrintCss = null; // Built on first use, see getKatexPrintCss()
+
+/**
+ * KaTeX stylesheet for print/PDF windows
+ *
+ * Those windows load a data: URL, which can't reference files in the app
+ * bundle, so the fonts are inlined as woff2 data URIs (the woff/ttf
+ * fallbacks are dropped, Chromium always takes woff2).
+ */
+function getKatexPrintCss() {
+  if (katexPrintCss !== null) return katexPrintCss;
+
+  try {
+    const cssPath = require.resolve('katex/dist/katex.min.css');
+    const fontDir = path.dirname(cssPath);
+    katexPrintCss = fs.readFileSync(cssPath, 'utf-8')
+      .replace(/,url\(fonts\/[^)]+\.(?:woff|ttf)\) format\("[a-z]+"\)/g, '')
+      .replace(/url\((fonts\/[^)]+\.woff2)\)/g, (match, fontFile) => {
+        const font = fs.readFileSync(path.join(fontDir, fontFile)).toString('base64');
+        return `url(data:font/woff2;base64,${font})`;
+      });
+  } catch (err) {
+    console.error('Could not load KaTeX stylesheet for printing:', err);
+    katexPrintCss = '';
+  }
+  return katexPrintCss;
+}
+
 // Helper function to create print HTML
 function createPrintHTML(content, fileName, settings, isPreview = false) {
   const pageTitle = settings.contentType === 'raw' ? `${fileName} (Raw Markdown)` : fileName;
+  const mathStyles = content.includes('class="katex') ? `<style>${getKatexPrintCss()}</style>` : '';
 
   const previewButtons = isPreview ? `
     <div style="position: fixed; top: 10px; right: 10px; z-index: 9999; display: flex; gap: 10px;" class="no-print">
@@ -2167,6 +4387,54 @@ function createPrintHTML(content, fileName, settings, isPreview = false) {
       color: #666;
       margin: 16px 0;
     }
+    .math-block {
+      margin: 16px 0;
+      overflow-x: auto;
+    }
+    code.math-error {
+      color: #c0392b;
+    }
+    .callout {
+      margin: 16px 0;
+      padding: 10px 14px;
+      border-left: 4px solid var(--callout-color);
+      border-radius: 4px;
+      background-color: var(--callout-background);
+      page-break-inside: avoid;
+    }
+    .callout-title {
+      font-weight: 600;
+      color: var(--callout-color);
+    }
+    .callout-content > :last-child {
+      margin-bottom: 0;
+    }
+    .callout-note { --callout-color: #2563eb; --callout-background: #eff6ff; }
+    .callout-abstract { --callout-color: #0891b2; --callout-background: #ecfeff; }
+    .callout-tip { --callout-color: #059669; --callout-background: #ecfdf5; }
+    .callout-important { --callout-color: #7c3aed; --callout-background: #f5f3ff; }
+    .callout-success { --callout-color: #16a34a; --callout-background: #f0fdf4; }
+    .callout-question { --callout-color: #d97706; --callout-background: #fffbeb; }
+    .callout-warning { --callout-color: #ea580c; --callout-background: #fff7ed; }
+    .callout-danger { --callout-color: #dc2626; --callout-background: #fef2f2; }
+    .callout-example { --callout-color: #9333ea; --callout-background: #faf5ff; }
+    .callout-quote { --callout-color: #6b7280; --callout-background: #f9fafb; }
+    .footnote-ref a, .footnote-backref {
+      text-decoration: none;
+    }
+    .footnotes {
+      font-size: 0.9em;
+      color: #555;
+    }
+    .mermaid-diagram {
+      margin: 16px 0;
+      text-align: center;
+      page-break-inside: avoid;
+    }
+    .mermaid-diagram svg {
+      max-width: 100%;
+      height: auto;
+    }
     @media print {
       body {
         padding: 0;
@@ -2178,6 +4446,7 @@ function createPrintHTML(content, fileName, settings, isPreview = false) {
   </style>
   <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github.min.css">
   <script src="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/highlight.min.js"></script>
+  ${mathStyles}
 </head>
 <body>
   ${previewButtons}
@@ -2187,6 +4456,11 @@ function createPrintHTML(content, fileName, settings, isPreview = false) {
     document.querySelectorAll('pre code').forEach((block) => {
       hljs.highlightBlock(block);
     });
+
+    // Print folded callouts expanded
+    document.querySelectorAll('details.callout').forEach((callout) => {
+      callout.open = true;
+    });
   </script>
 </body>
 </html>`;
@@ -2310,8 +4584,11 @@ function showHelpDialog() {
 
 HOW IT WORKS:
 • Backups are created automatically when you save your note
-• Up to 10 backup versions are kept by default
-• Backups are stored in a hidden .nthing-history folder next to your note
+• Up to 10 backup versions are kept by default; File > Backup Settings can
+  keep them tiered by age instead (all recent, then hourly, daily, weekly)
+• Pin a backup (📌) to keep it forever
+• Backups are stored in a hidden .nthing-history folder next to your note,
+  or in one folder for all notes (File > Backup Settings)
 
 VIEWING BACKUPS:
 • Open the Note Backups sidebar: File > Note Backups (Ctrl+Shift+H)
@@ -2320,6 +4597,9 @@ VIEWING BACKUPS:
 COMPARING BACKUPS:
 • Click the "👁 Preview" button to open the Compare window
 • The Compare window shows your current note on the left and the backup on the right
+• Click "💾" to compare a backup with the last saved file instead of your unsaved edits
+• Tick the boxes next to two backups and click "Compare" to see what changed between them
+  (these comparisons are view-only, nothing is restored)
 
 COLOR CODING IN COMPARE WINDOW:
 ❌ RED BACKGROUND (left side) = Lines that will be LOST if you restore
@@ -2335,6 +4615,9 @@ COLOR CODING IN COMPARE WINDOW:
 
 ⚪ NO BACKGROUND = Lines that are the same in both versions
 
+Inside changed lines, darker highlights mark the exact words or characters
+that differ. Switch between Line, Word and Character at the top of the window.
+
 RESTORING OPTIONS:
 
 1. RESTORE INDIVIDUAL LINES (Advanced):
@@ -2344,7 +4627,14 @@ RESTORING OPTIONS:
    • Click "Finalize Restoration" to apply your selections
    • Only the selected lines will be restored
 
-2. RESTORE FULL BACKUP:
+2. RESTORE A WHOLE CHANGE (HUNK):
+   • Click the "⇇" button at the start of a changed block
+   • The whole block is made to match the backup
+   • Use N / P (or F8 / Shift+F8) to jump between changes
+   • Press Enter to restore the highlighted change
+   • The gutter on the right shows where all changes are
+
+3. RESTORE FULL BACKUP:
    • Click "Restore Full Backup" button
    • Replaces your entire current note with the backup
    • A confirmation dialog will appear
@@ -2354,10 +4644,18 @@ MANAGING BACKUPS:
 • Delete old backups: Click "× Delete" in the sidebar
 • Backups are automatically cleaned up when limit is reached
 
+CHANGES MADE BY OTHER PROGRAMS:
+• If Dropbox, git or another editor changes your note, Nthing notices within a second
+• No unsaved edits: the note reloads automatically
+• Unsaved edits: choose Merge, Keep My Version, or Load From Disk
+• Merge shows one combined result; changes from disk are tinted blue, and where
+  both of you changed the same lines pick "Keep mine", "Use disk" or "Keep both"
+
 SAFETY TIPS:
 • Always review the Compare window before restoring
 • Use "Preview" mode to see exactly what will change
 • Create a manual backup before major edits
+• If Nthing crashes, unsaved notes (even untitled ones) are offered for recovery on the next start
 • The red/green colors show exactly what you'll gain or lose`,
     buttons: ['OK']
   });
@@ -2372,16 +4670,17 @@ function showKeyboardShortcuts() {
     title: 'Keyboard Shortcuts',
     message: 'Nthing Keyboard Shortcuts',
     detail: `FILE:
-Ctrl+N - New file
+Ctrl+N - New file (in a new tab)
 Ctrl+Shift+N - New window
-Ctrl+O - Open file
+Ctrl+W - Close tab
+Ctrl+O - Open file (in a new tab)
 Ctrl+1-9 - Open recent file (1 = most recent)
 Ctrl+S - Save file
 Ctrl+Shift+S - Save As
 Ctrl+Q - Quit
 
 EDIT:
-Ctrl+Z - Undo
+Ctrl+Z - Undo (each tab has its own history)
 Ctrl+Y - Redo
 Ctrl+X - Cut
 Ctrl+C - Copy
@@ -2389,14 +4688,19 @@ Ctrl+V - Paste
 Ctrl+A - Select All
 Ctrl+F - Find
 Ctrl+H - Find & Replace
+Ctrl+Shift+F - Find in Workspace
 
 FORMAT:
 Ctrl+Shift+8 - Toggle bullet list
 Ctrl+Shift+7 - Toggle numbered list
 Ctrl+T - Insert table
+Ctrl+Alt+F - Insert footnote
 
 VIEW:
 F9 - Cycle through Editor, Writing Focus, and Reader modes
+Ctrl+Tab / Ctrl+Shift+Tab - Next / previous tab
+Ctrl+Shift+J - Reveal the cursor's line in the preview
+Ctrl+click in preview - Jump to the source (plain click in Editor mode)
 F12 - Toggle Developer Tools
 
 BACKUPS:
@@ -2424,7 +4728,7 @@ Features:
 • Three view modes (Editor, Writing Focus & Reader)
 • Configurable default startup mode
 • Live markdown preview
-• Find & Replace
+• Find & Replace, and Find in Workspace
 • Note backup system with visual diff
 • Real-time statistics
 • Autosave
@@ -2438,8 +4742,24 @@ Built with Electron and marked.js
 }
 
 app.whenReady().then(() => {
-  const win = createWindow(filePathToOpen);
+  // Load app settings first (needed before window setup)
+  loadSettings();
+
+  const sessionWindows = restoreSessionEnabled ? loadSession() : [];
+  const restoredWindows = sessionWindows.map(entry => createWindow(null, entry));
+  const alreadyRestored = sessionWindows.some(entry => entry.tabs.includes(filePathToOpen));
+
+  // A file passed on the command line gets its own window unless the session already has it
+  let win = restoredWindows[0];
+  if (!win || (filePathToOpen && !alreadyRestored)) {
+    win = createWindow(filePathToOpen);
+  }
   // File will be opened via createWindow's did-finish-load handler
+
+  // Offer to recover work lost in a crash once the window is ready
+  win.webContents.once('did-finish-load', () => {
+    offerCrashRecovery(win);
+  });
 });
 
 // macOS: Handle file opening
@@ -2450,29 +4770,7 @@ app.on('open-file', (event, filePath) => {
   if (allWindows.length > 0) {
     // Use most recently focused window, or last window if none focused
     const win = BrowserWindow.getFocusedWindow() || allWindows[allWindows.length - 1];
-    const state = getWindowState(win);
-
-    if (state && state.hasUnsavedChanges) {
-      dialog.showMessageBox(win, {
-        type: 'warning',
-        title: 'Unsaved Changes',
-        message: 'You have unsaved changes. Do you want to save before opening another file?',
-        buttons: ['Save', 'Don\'t Save', 'Cancel'],
-        defaultId: 0,
-        cancelId: 2
-      }).then(result => {
-        if (result.response === 0) {
-          win.webContents.send('save-file-request');
-          setTimeout(() => {
-            openFileByPath(win, filePath);
-          }, 200);
-        } else if (result.response === 1) {
-          openFileByPath(win, filePath);
-        }
-      });
-    } else {
-      openFileByPath(win, filePath);
-    }
+    openFileByPath(win, filePath);
   } else {
     filePathToOpen = filePath;
   }
@@ -0,0 +1,29 @@
+/**
+ * note-index-worker.js - Workspace note index
+ *
+ * Runs in a worker thread started by main.js when a workspace is opened, so
+ * reading every note for its aliases, links and tags never blocks the main
+ * process. Posts the whole index once all notes are read.
+ *
+ * workerData: { files } - Note paths from the workspace's file tree
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const fs = require('fs');
+const { createNoteIndexEntry } = require('./links');
+
+function runIndex() {
+  const notes = [];
+
+  workerData.files.forEach(filePath => {
+    try {
+      notes.push(createNoteIndexEntry(filePath, fs.readFileSync(filePath, 'utf-8')));
+    } catch (err) {
+      // Deleted or unreadable since the tree was built, index the rest
+    }
+  });
+
+  parentPort.postMessage({ type: 'done', notes });
+}
+
+runIndex();
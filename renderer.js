@@ -20,6 +20,10 @@
 
 const { ipcRenderer, shell } = require('electron');
 const { marked } = require('marked');
+const katex = require('katex');
+const crypto = require('crypto');
+const path = require('path');
+const { HASHTAG_PATTERN, splitWikilinkTarget, findNoteForTarget } = require('./links');
 
 // ==========================================
 // DOM Element References
@@ -91,7 +95,7 @@ const langMarkdown = require('@codemirror/lang-markdown');
 const cmLanguage = require('@codemirror/language');
 
 const { EditorView, highlightSpecialChars, drawSelection, highlightActiveLine, keymap } = cmView;
-const { EditorState } = cmState;
+const { EditorState, Transaction } = cmState;
 const { markdown } = langMarkdown;
 const { syntaxHighlighting, HighlightStyle, defaultHighlightStyle } = cmLanguage;
 
@@ -139,6 +143,8 @@ const status = document.getElementById('status');
 const wordCount = document.getElementById('word-count');
 const charCount = document.getElementById('char-count');
 const lineCount = document.getElementById('line-count');
+const taskStats = document.getElementById('task-stats');
+const taskCount = document.getElementById('task-count');
 const lineNumbers = document.getElementById('line-numbers');
 const container = document.querySelector('.container');
 const paneTitle = document.getElementById('pane-title');
@@ -159,11 +165,13 @@ let showPreview = true; // Preview visibility state
 let codemirrorView = null; // CodeMirror instance
 let contentChangedSinceLastSave = false; // Track unsaved changes
 let contentChangeTimeout = null; // Debounce timer
+let sessionStateTimeout = null; // Debounce timer for reporting layout to main (session restore)
 let focusModeEnabled = false; // Focus mode state - dims non-active lines
 let currentActiveLine = null; // Track the currently active line for focus mode
 let typewriterModeEnabled = false; // Typewriter mode state - keeps cursor vertically centered
 let isHtmlFile = false; // Track if current file is HTML
 let isDocxFile = false; // Track if current file is .docx
+let workspaceNotes = []; // [{ path, name, aliases }] of the open workspace, for resolving wikilinks
 
 // Configure marked options
 marked.setOptions({
@@ -171,6 +179,99 @@ marked.setOptions({
   gfm: true
 });
 
+/**
+ * Render TeX with KaTeX for the math extensions below
+ *
+ * A formula that doesn't parse is shown as its source in red (with KaTeX's
+ * message as the tooltip) instead of failing the whole preview.
+ *
+ * @param {string} tex - Formula without the surrounding dollars
+ * @param {boolean} displayMode - true for $$...$$ blocks
+ */
+function renderMath(tex, displayMode) {
+  try {
+    return katex.renderToString(tex, {
+      displayMode: displayMode,
+      throwOnError: true,
+      output: 'html' // The preview is copied into print/PDF HTML, skip the hidden MathML copy
+    });
+  } catch (err) {
+    const source = displayMode ? `$$${tex}$$` : `$${tex}$`;
+    return `<code class="math-error" title="${escapeAttribute(err.message)}">${escapeHtml(source)}</code>`;
+  }
+}
+
+// Footnotes of the document being rendered, reset by marked.parse()
+function createFootnoteState() {
+  return {
+    definitions: new Map(), // id -> { text, line }
+    order: [], // ids in order of first reference, index + 1 is the footnote number
+    refCounts: new Map() // id -> references rendered so far
+  };
+}
+let footnoteState = createFootnoteState();
+
+/**
+ * Render the numbered footnote list that goes after the document
+ *
+ * Only referenced footnotes are listed, in order of first reference, each
+ * with a back link to every reference to it.
+ */
+function renderFootnoteSection() {
+  const { definitions, order, refCounts } = footnoteState;
+  if (order.length === 0) return '';
+
+  const items = [];
+  // order can grow while rendering, when a footnote references another one
+  for (let i = 0; i < order.length; i++) {
+    const number = i + 1;
+    const definition = definitions.get(order[i]);
+    const content = marked.parseInline(definition.text);
+    const refCount = refCounts.get(order[i]) || 0;
+
+    let backrefs = '';
+    for (let k = 1; k <= refCount; k++) {
+      backrefs += ` <a href="#fnref-${number}-${k}" class="footnote-link footnote-backref" title="Back to reference">↩${refCount > 1 ? `<sup>${k}</sup>` : ''}</a>`;
+    }
+
+    const lineAttribute = definition.line !== null ? ` data-source-line="${definition.line}"` : '';
+    items.push(`<li id="fn-${number}"${lineAttribute}>${content}${backrefs}</li>`);
+  }
+
+  return `<section class="footnotes"><hr><ol>${items.join('')}</ol></section>`;
+}
+
+// Callout types (GitHub alerts plus Obsidian's names and aliases) -> the style they share
+const CALLOUT_STYLES = {
+  note: 'note',
+  info: 'note',
+  todo: 'note',
+  abstract: 'abstract',
+  summary: 'abstract',
+  tldr: 'abstract',
+  tip: 'tip',
+  hint: 'tip',
+  important: 'important',
+  success: 'success',
+  check: 'success',
+  done: 'success',
+  question: 'question',
+  help: 'question',
+  faq: 'question',
+  warning: 'warning',
+  caution: 'danger',
+  attention: 'warning',
+  failure: 'danger',
+  fail: 'danger',
+  missing: 'danger',
+  danger: 'danger',
+  error: 'danger',
+  bug: 'danger',
+  example: 'example',
+  quote: 'quote',
+  cite: 'quote'
+};
+
 // Add custom markdown extensions
 marked.use({
   extensions: [
@@ -192,7 +293,143 @@ marked.use({
         }
       },
       renderer(token) {
-        return `<a href="#" class="wikilink" title="${token.page}">${token.text}</a>`;
+        // Unresolved links (no such note in the workspace) are styled differently, see resolveWikilink()
+        const resolved = resolveWikilink(token.page);
+        const className = resolved ? 'wikilink' : 'wikilink unresolved';
+        const title = resolved ? token.page : `${token.page} (not created yet)`;
+        return `<a href="#" class="${className}" data-page="${escapeAttribute(token.page)}" title="${escapeAttribute(title)}">${escapeHtml(token.text)}</a>`;
+      }
+    },
+    // Math support ($inline$ and $$display$$ TeX, rendered with KaTeX)
+    {
+      name: 'mathBlock',
+      level: 'block',
+      start(src) {
+        const match = src.match(/^\$\$/m);
+        return match ? match.index : undefined;
+      },
+      tokenizer(src) {
+        const match = src.match(/^\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/);
+        if (match) {
+          return {
+            type: 'mathBlock',
+            raw: match[0],
+            text: match[1].trim()
+          };
+        }
+      },
+      renderer(token) {
+        return `<div class="math-block">${renderMath(token.text, true)}</div>\n`;
+      }
+    },
+    {
+      name: 'mathInline',
+      level: 'inline',
+      start(src) { return src.indexOf('$'); },
+      tokenizer(src) {
+        // $$...$$ inside a paragraph, or $...$ without spaces just inside the dollars
+        // and no digit after the closing one, so "$5 and $10" stays plain text
+        const match = src.match(/^\$\$((?:\\.|[^\\$])+?)\$\$/) ||
+          src.match(/^\$(?![\s$])((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/);
+        if (match) {
+          return {
+            type: 'mathInline',
+            raw: match[0],
+            text: match[1],
+            displayMode: match[0].startsWith('$$')
+          };
+        }
+      },
+      renderer(token) {
+        return renderMath(token.text, token.displayMode);
+      }
+    },
+    // Footnotes: [^id] references and [^id]: text definitions (indented lines continue it).
+    // Definitions are collected while lexing and rendered by renderFootnoteSection().
+    {
+      name: 'footnoteDefinition',
+      level: 'block',
+      start(src) {
+        const match = src.match(/^\[\^[^\]\s]+\]:/m);
+        return match ? match.index : undefined;
+      },
+      tokenizer(src) {
+        const match = src.match(/^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?:[ \t]{2,}|\t)[^\n]*)*)(?:\n+|$)/);
+        if (match) {
+          const id = match[1];
+          const text = match[2].split('\n').map(line => line.trim()).join('\n');
+          if (!footnoteState.definitions.has(id)) {
+            footnoteState.definitions.set(id, { text: text, line: null });
+          }
+          return {
+            type: 'footnoteDefinition',
+            raw: match[0],
+            id: id
+          };
+        }
+      },
+      renderer() {
+        return ''; // Shown in the footnote section at the end
+      }
+    },
+    {
+      name: 'footnoteRef',
+      level: 'inline',
+      start(src) { return src.indexOf('[^'); },
+      tokenizer(src) {
+        const match = src.match(/^\[\^([^\]\s]+)\](?!:)/);
+        // Inline tokens are lexed after all blocks, so every definition is known by now
+        if (match && footnoteState.definitions.has(match[1])) {
+          return {
+            type: 'footnoteRef',
+            raw: match[0],
+            id: match[1]
+          };
+        }
+      },
+      renderer(token) {
+        let number = footnoteState.order.indexOf(token.id) + 1;
+        if (number === 0) {
+          footnoteState.order.push(token.id);
+          number = footnoteState.order.length;
+        }
+        const refIndex = (footnoteState.refCounts.get(token.id) || 0) + 1;
+        footnoteState.refCounts.set(token.id, refIndex);
+        return `<sup class="footnote-ref" id="fnref-${number}-${refIndex}"><a href="#fn-${number}" class="footnote-link" data-footnote="${number}">${number}</a></sup>`;
+      }
+    },
+    // Callouts: "> [!NOTE] Optional title" blockquotes (GitHub alerts and Obsidian callouts),
+    // "> [!note]-" / "> [!note]+" make it foldable, collapsed or expanded
+    {
+      name: 'callout',
+      level: 'block',
+      start(src) {
+        const match = src.match(/^ {0,3}> ?\[!/m);
+        return match ? match.index : undefined;
+      },
+      tokenizer(src) {
+        const match = src.match(/^ {0,3}> ?\[!([A-Za-z][\w-]*)\]([+-]?)[ \t]*([^\n]*)(?:\n|$)((?: {0,3}>[^\n]*(?:\n|$))*)/);
+        if (match) {
+          const body = match[4].replace(/^ {0,3}> ?/gm, '');
+          const kind = match[1].toLowerCase();
+          return {
+            type: 'callout',
+            raw: match[0],
+            kind: kind,
+            fold: match[2],
+            titleTokens: this.lexer.inlineTokens(match[3].trim() || kind.charAt(0).toUpperCase() + kind.slice(1)),
+            tokens: this.lexer.blockTokens(body, [])
+          };
+        }
+      },
+      renderer(token) {
+        const style = CALLOUT_STYLES[token.kind] || 'note';
+        const title = this.parser.parseInline(token.titleTokens);
+        const content = this.parser.parse(token.tokens);
+        if (token.fold) {
+          return `<details class="callout callout-${style}" data-callout="${token.kind}"${token.fold === '+' ? ' open' : ''}><summary class="callout-title">${title}</summary><div class="callout-content">${content}</div></details>\n`;
+        }
+        return `<div class="callout callout-${style}" data-callout="${token.kind}"><div class="callout-title">${title}</div><div class="callout-content">${content}</div></div>\n`;
       }
     },
     // Hashtag support (#tag)
@@ -201,8 +438,8 @@ marked.use({
       level: 'inline',
       start(src) { return src.indexOf('#'); },
       tokenizer(src) {
-        // Match #tag (word boundary before and after)
-        const match = src.match(/^#([a-zA-Z0-9_-]+)/);
+        // Match #tag or #nested/tag (word boundary before and after)
+        const match = src.match(new RegExp(`^${HASHTAG_PATTERN}`));
         if (match && (src === match[0] || src[match[0].length].match(/[\s.,;!?)]|$/))) {
           return {
             type: 'hashtag',
@@ -212,12 +449,131 @@ marked.use({
         }
       },
       renderer(token) {
-        return `<span class="hashtag">#${token.tag}</span>`;
+        return `<span class="hashtag" data-tag="${token.tag}" title="Show notes tagged #${token.tag}">#${token.tag}</span>`;
       }
     }
   ]
 });
 
+// ==========================================
+// Mermaid Diagrams
+// ==========================================
+// ```mermaid blocks are rendered to SVG asynchronously after the preview is updated.
+// Results are cached by a hash of the diagram source, so the markdown renderer can
+// put an already rendered SVG straight into the HTML and typing elsewhere in the
+// document doesn't redraw every diagram.
+
+let mermaidLoading = null; // Promise of the mermaid API, loaded on the first diagram (the bundle is large)
+let mermaidQueue = Promise.resolve(); // mermaid can only render one diagram at a time
+const mermaidCache = new Map(); // source hash -> { svg } or { error }
+const mermaidSources = new Map(); // source hash -> source, for diagrams not rendered yet
+const mermaidQueued = new Set(); // hashes waiting in mermaidQueue
+
+// mermaid's package is an ES module, so require() can't load it: the UMD build
+// is added as a script instead and sets the mermaid global, like mammoth does
+function loadMermaid() {
+  if (!mermaidLoading) {
+    mermaidLoading = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = 'node_modules/mermaid/dist/mermaid.min.js';
+      script.onload = () => {
+        window.mermaid.initialize({
+          startOnLoad: false,
+          securityLevel: 'strict',
+          theme: 'default'
+        });
+        resolve(window.mermaid);
+      };
+      script.onerror = () => {
+        mermaidLoading = null; // Try again on the next diagram
+        script.remove();
+        reject(new Error('Could not load the mermaid library'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return mermaidLoading;
+}
+
+function hashDiagramSource(source) {
+  return crypto.createHash('sha1').update(source).digest('hex').slice(0, 16);
+}
+
+// HTML for a ```mermaid block: the cached SVG, or a placeholder showing the source
+function renderMermaidBlock(source) {
+  const hash = hashDiagramSource(source);
+  const cached = mermaidCache.get(hash);
+
+  if (cached && cached.svg) {
+    return `<div class="mermaid-diagram" data-mermaid-hash="${hash}">${cached.svg}</div>`;
+  }
+  if (cached) {
+    return `<div class="mermaid-diagram" data-mermaid-hash="${hash}"><pre class="mermaid-error" title="${escapeAttribute(cached.error)}">${escapeHtml(source)}</pre></div>`;
+  }
+
+  mermaidSources.set(hash, source);
+  return `<div class="mermaid-diagram pending" data-mermaid-hash="${hash}"><pre class="mermaid-source">${escapeHtml(source)}</pre></div>`;
+}
+
+/**
+ * Render the preview's pending mermaid diagrams
+ *
+ * Each diagram is rendered once per distinct source and dropped into every
+ * placeholder with its hash that is still in the preview when it finishes
+ * (the user may have kept typing or switched tabs in the meantime).
+ */
+function renderPendingMermaidDiagrams() {
+  const hashes = new Set();
+  preview.querySelectorAll('.mermaid-diagram.pending').forEach(el => hashes.add(el.dataset.mermaidHash));
+
+  hashes.forEach(hash => {
+    const source = mermaidSources.get(hash);
+    if (source === undefined || mermaidQueued.has(hash)) return;
+    mermaidQueued.add(hash);
+
+    // Every step is inside the chain's catches: print and export wait on
+    // mermaidQueue, so it must never be left rejected
+    mermaidQueue = mermaidQueue
+      .then(() => loadMermaid())
+      .then(mermaid => mermaid.parse(source).then(() => mermaid.render(`mermaid-${hash}`, source)))
+      .then(result => {
+        mermaidCache.set(hash, { svg: result.svg });
+      })
+      .catch(err => {
+        mermaidCache.set(hash, { error: err.message || String(err) });
+        // A failed render can leave its temporary element behind
+        const leftover = document.getElementById(`dmermaid-${hash}`);
+        if (leftover) leftover.remove();
+      })
+      .then(() => {
+        mermaidQueued.delete(hash);
+        mermaidSources.delete(hash);
+        preview.querySelectorAll(`.mermaid-diagram.pending[data-mermaid-hash="${hash}"]`).forEach(el => {
+          el.outerHTML = renderMermaidBlock(source).replace('<div ', `<div ${getSourceAttributes(el)} `);
+        });
+      })
+      .catch(err => {
+        console.error('Error showing mermaid diagram:', err);
+      });
+  });
+
+  // Forget diagrams that are no longer in this document
+  if (mermaidCache.size > 100) {
+    const inUse = new Set(Array.from(preview.querySelectorAll('.mermaid-diagram')).map(el => el.dataset.mermaidHash));
+    mermaidCache.forEach((value, hash) => {
+      if (!inUse.has(hash)) mermaidCache.delete(hash);
+    });
+  }
+}
+
+// data-source-* attributes of an element, to carry over when it is replaced
+function getSourceAttributes(el) {
+  return Array.from(el.attributes)
+    .filter(attr => attr.name.startsWith('data-source-'))
+    .map(attr => `${attr.name}="${attr.value}"`)
+    .join(' ');
+}
+
 // Custom renderer to handle YAML frontmatter
 const defaultRenderer = new marked.Renderer();
 marked.use({
@@ -227,26 +583,145 @@ marked.use({
       if (language === 'yaml' && code.trim().startsWith('---')) {
         return `<pre class="frontmatter"><code>${code}</code></pre>`;
       }
+      if (language === 'mermaid') {
+        return renderMermaidBlock(code);
+      }
       // Regular code blocks
       return `<pre><code class="language-${language || 'plaintext'}">${code}</code></pre>`;
+    },
+    checkbox(checked) {
+      // GFM task list items - clickable, toggleTaskItem() writes the change back to the source
+      return `<input type="checkbox" class="task-checkbox"${checked ? ' checked' : ''}>`;
     }
   }
 });
 
+// Count line breaks in text.slice(start, end)
+function countNewlines(text, start = 0, end = text.length) {
+  let count = 0;
+  for (let i = text.indexOf('\n', start); i !== -1 && i < end; i = text.indexOf('\n', i + 1)) {
+    count++;
+  }
+  return count;
+}
+
+// Add attributes to the first tag of an HTML fragment
+function tagFirstElement(html, attributes) {
+  return html.replace(/^(\s*<[a-zA-Z][\w-]*)/, `$1 ${attributes}`);
+}
+
+/**
+ * Render markdown with every top-level block tagged with its source lines
+ *
+ * Each block's first element gets data-source-line / data-source-end (0-based,
+ * inclusive) so the preview can be matched to editor lines for scroll sync.
+ * Lists also carry data-item-lines, which annotateListItems() copies onto
+ * their <li> elements once the HTML is in the DOM.
+ *
+ * @param {string} src - Markdown without frontmatter
+ * @param {number} lineOffset - Editor line that src starts on
+ */
+function parseWithSourceLines(src, lineOffset, options) {
+  const tokens = marked.lexer(src, options);
+
+  // The lexer normalizes line endings and expands leading tabs, search the same text it saw
+  const lexed = src.replace(/\r\n|\r/g, '\n').replace(/^( *)(\t+)/gm, (_, leading, tabs) => leading + '    '.repeat(tabs.length));
+  let cursor = 0;
+  let line = lineOffset;
+
+  return tokens.map(token => {
+    // Link definitions are dropped from the token list, so search rather than add up lengths
+    const start = lexed.indexOf(token.raw, cursor);
+    if (start !== -1) {
+      line += countNewlines(lexed, cursor, start);
+      cursor = start;
+    }
+    const startLine = line;
+    const raw = token.raw.replace(/\n+$/, '');
+
+    // Footnote definitions are rendered at the end, remember where they are in the source
+    if (token.type === 'footnoteDefinition') {
+      footnoteState.definitions.get(token.id).line = startLine;
+    }
+    let attributes = `data-source-line="${startLine}" data-source-end="${startLine + countNewlines(raw)}"`;
+
+    if (token.type === 'list') {
+      let itemCursor = 0;
+      const itemLines = token.items.map(item => {
+        const itemStart = Math.max(token.raw.indexOf(item.raw, itemCursor), itemCursor);
+        itemCursor = itemStart + item.raw.length;
+        return startLine + countNewlines(token.raw, 0, itemStart);
+      });
+      attributes += ` data-item-lines="${itemLines.join(',')}"`;
+    }
+
+    if (start !== -1) {
+      line += countNewlines(token.raw);
+      cursor = start + token.raw.length;
+    }
+
+    const html = marked.parser(Object.assign([token], { links: tokens.links }), options);
+    return token.type === 'space' ? html : tagFirstElement(html, attributes);
+  }).join('');
+}
+
+// Give list items the source lines recorded on their list by parseWithSourceLines()
+function annotateListItems(root) {
+  root.querySelectorAll('[data-item-lines]').forEach(list => {
+    const lines = list.dataset.itemLines.split(',');
+    Array.from(list.children).forEach((item, index) => {
+      if (item.tagName === 'LI' && lines[index] !== undefined) {
+        item.dataset.sourceLine = lines[index];
+      }
+    });
+  });
+}
+
 // Pre-process to detect YAML frontmatter at document start
-const originalParse = marked.parse.bind(marked);
 marked.parse = function(src, options) {
+  footnoteState = createFootnoteState();
+
   // Detect YAML frontmatter (--- at start, --- at end)
   const frontmatterMatch = src.match(/^---\n([\s\S]*?)\n---\n/);
   if (frontmatterMatch) {
     const frontmatter = frontmatterMatch[1];
     const content = src.slice(frontmatterMatch[0].length);
-    const frontmatterHtml = `<pre class="frontmatter"><code>${frontmatter}</code></pre>`;
-    return frontmatterHtml + originalParse(content, options);
+    const frontmatterLines = countNewlines(frontmatterMatch[0]);
+    const frontmatterHtml = `<pre class="frontmatter" data-source-line="0" data-source-end="${frontmatterLines - 1}"><code>${frontmatter}</code></pre>`;
+    return frontmatterHtml + parseWithSourceLines(content, frontmatterLines, options) + renderFootnoteSection();
   }
-  return originalParse(src, options);
+  return parseWithSourceLines(src, 0, options) + renderFootnoteSection();
 };
 
+// Mark content as changed and notify main process (debounced)
+function markContentChanged() {
+  if (contentChangedSinceLastSave) return;
+  contentChangedSinceLastSave = true;
+
+  // Say which tab was edited: the user may switch tabs before the timer fires.
+  // A timer still pending for the previous tab is left to fire on its own.
+  const tabId = activeTabId;
+  contentChangeTimeout = setTimeout(() => {
+    contentChangeTimeout = null;
+    ipcRenderer.send('content-changed', tabId);
+  }, 300);
+}
+
+// Record the text before each typed change so the tab's undo history can restore it
+editor.addEventListener('beforeinput', (e) => {
+  if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+    // The textarea's own history is lost on every tab switch, use the tab's instead
+    e.preventDefault();
+    if (e.inputType === 'historyUndo') {
+      undoEdit();
+    } else {
+      redoEdit();
+    }
+    return;
+  }
+  recordUndoSnapshot();
+});
+
 // Update preview and stats on input
 editor.addEventListener('input', () => {
   updatePreview();
@@ -258,18 +733,7 @@ editor.addEventListener('input', () => {
   matches = [];
   currentMatchIndex = -1;
 
-  // Mark content as changed and notify main process (debounced)
-  if (!contentChangedSinceLastSave) {
-    contentChangedSinceLastSave = true;
-    // Clear existing timeout
-    if (contentChangeTimeout) {
-      clearTimeout(contentChangeTimeout);
-    }
-    // Debounce: wait 300ms before sending the message
-    contentChangeTimeout = setTimeout(() => {
-      ipcRenderer.send('content-changed');
-    }, 300);
-  }
+  markContentChanged();
 
   // Typewriter mode for textarea in Writing Focus Mode (when Show Formatting is off)
   if (typewriterModeEnabled && currentMode === 'writing' && !showFormatting) {
@@ -279,9 +743,26 @@ editor.addEventListener('input', () => {
 
 // Auto-continue lists on Enter
 editor.addEventListener('keydown', (e) => {
+  // Undo/redo go through the tab's history (the Edit menu items don't register these keys)
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && (e.key === 'z' || e.key === 'Z')) {
+    e.preventDefault();
+    if (e.shiftKey) {
+      redoEdit();
+    } else {
+      undoEdit();
+    }
+    return;
+  }
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key === 'y') {
+    e.preventDefault();
+    redoEdit();
+    return;
+  }
+
   // Handle Tab key for indentation
   if (e.key === 'Tab') {
     e.preventDefault();
+    recordUndoSnapshot(true);
     console.log('Tab pressed, shiftKey:', e.shiftKey);
 
     const start = editor.selectionStart;
@@ -358,6 +839,7 @@ editor.addEventListener('keydown', (e) => {
     const bulletMatch = currentLine.match(/^(\s*)([-*+])\s+(.*)$/);
     if (bulletMatch) {
       e.preventDefault();
+      recordUndoSnapshot(true);
       const indent = bulletMatch[1];
       const bullet = bulletMatch[2];
       const content = bulletMatch[3];
@@ -385,6 +867,7 @@ editor.addEventListener('keydown', (e) => {
     const numberMatch = currentLine.match(/^(\s*)(\d+)\.\s+(.*)$/);
     if (numberMatch) {
       e.preventDefault();
+      recordUndoSnapshot(true);
       const indent = numberMatch[1];
       const number = parseInt(numberMatch[2]);
       const content = numberMatch[3];
@@ -511,6 +994,7 @@ ipcRenderer.on('image-saved', (event, imagePath) => {
   const textAfter = editor.value.substring(cursorPos);
 
   const imageMarkdown = `![image](${imagePath})`;
+  recordUndoSnapshot(true);
   editor.value = textBefore + imageMarkdown + textAfter;
 
   // Place cursor after inserted image
@@ -537,12 +1021,17 @@ ipcRenderer.on('image-saved', (event, imagePath) => {
 // Scroll synchronization
 let isEditorScrolling = false;
 let isPreviewScrolling = false;
+let editorLineTops = null; // Pixel top of each source line in the textarea (cached, see getEditorLineTops)
+let editorLineTopsWidth = 0; // Textarea width the cache was measured at
 
 // ==========================================
 // Synchronized Scrolling (Editor ↔ Preview)
 // ==========================================
-// When scrolling either pane, the other pane scrolls to maintain relative position.
-// Uses percentage-based scrolling so it works regardless of content length differences.
+// When scrolling either pane, the other pane scrolls so the same source line is at the top.
+// Preview blocks carry the source line they were rendered from (data-source-line, added
+// by parseWithSourceLines), and the textarea's wrapped line positions are measured with
+// a mirror div. Positions between two such anchors are interpolated, so long code blocks,
+// tables and images don't make the panes drift apart.
 //
 // To prevent infinite loops:
 // - Set isEditorScrolling = true before updating preview scroll
@@ -572,12 +1061,13 @@ editor.addEventListener('scroll', () => {
 
   isEditorScrolling = true;
 
-  // Calculate scroll position as percentage (0.0 to 1.0)
-  const scrollPercentage = editor.scrollTop / (editor.scrollHeight - editor.clientHeight);
-
-  // Apply same percentage to preview
-  const previewScrollTop = scrollPercentage * (preview.scrollHeight - preview.clientHeight);
-  preview.scrollTop = previewScrollTop;
+  if (editor.scrollTop >= editor.scrollHeight - editor.clientHeight - 1) {
+    // Bottom of the editor: show the end of the preview too, even if the last block is short
+    preview.scrollTop = preview.scrollHeight - preview.clientHeight;
+  } else {
+    const topLine = getEditorTopLine();
+    preview.scrollTop = mapThroughAnchors(getPreviewAnchors(), topLine, 'line', 'top');
+  }
 
   // Reset flag after brief delay
   setTimeout(() => {
@@ -598,12 +1088,12 @@ function handlePreviewScroll() {
 
   isPreviewScrolling = true;
 
-  // Calculate scroll position as percentage (0.0 to 1.0)
-  const scrollPercentage = preview.scrollTop / (preview.scrollHeight - preview.clientHeight);
-
-  // Apply same percentage to editor
-  const editorScrollTop = scrollPercentage * (editor.scrollHeight - editor.clientHeight);
-  editor.scrollTop = editorScrollTop;
+  if (preview.scrollTop >= preview.scrollHeight - preview.clientHeight - 1) {
+    editor.scrollTop = editor.scrollHeight - editor.clientHeight;
+  } else {
+    const topLine = mapThroughAnchors(getPreviewAnchors(), preview.scrollTop, 'top', 'line');
+    scrollEditorToLine(topLine);
+  }
 
   // Reset flag after brief delay
   setTimeout(() => {
@@ -613,6 +1103,115 @@ function handlePreviewScroll() {
 
 preview.addEventListener('scroll', handlePreviewScroll);
 
+// Pixel offset of every source line in the textarea. Lines wrap, so they are
+// measured in a hidden mirror div with the textarea's font and width.
+function getEditorLineTops() {
+  if (editorLineTops && editorLineTopsWidth === editor.clientWidth) {
+    return editorLineTops;
+  }
+
+  const mirror = document.createElement('div');
+  const computed = window.getComputedStyle(editor);
+
+  mirror.style.position = 'absolute';
+  mirror.style.visibility = 'hidden';
+  mirror.style.whiteSpace = 'pre-wrap';
+  mirror.style.wordWrap = 'break-word';
+  mirror.style.boxSizing = 'border-box';
+  mirror.style.font = computed.font;
+  mirror.style.lineHeight = computed.lineHeight;
+  mirror.style.padding = computed.padding;
+  mirror.style.width = editor.clientWidth + 'px';
+  mirror.style.left = '-9999px';
+  mirror.style.top = '0';
+
+  editor.value.split('\n').forEach(line => {
+    const lineEl = document.createElement('div');
+    lineEl.textContent = line || '\u200b'; // Empty lines still take up a row
+    mirror.appendChild(lineEl);
+  });
+
+  document.body.appendChild(mirror);
+  editorLineTops = Array.from(mirror.children, lineEl => lineEl.offsetTop);
+  editorLineTopsWidth = editor.clientWidth;
+  document.body.removeChild(mirror);
+
+  return editorLineTops;
+}
+
+// Index of the last entry in an ascending array that is <= value (0 if none is)
+function findLastAtOrBefore(values, value) {
+  let low = 0;
+  let high = values.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (values[mid] <= value) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+// Source line at the top of the editor; the fraction is how much of that line is scrolled past
+function getEditorTopLine() {
+  const tops = getEditorLineTops();
+  const index = findLastAtOrBefore(tops, editor.scrollTop);
+  const nextTop = index + 1 < tops.length ? tops[index + 1] : editor.scrollHeight;
+  const height = nextTop - tops[index];
+  return index + (height > 0 ? Math.max(0, Math.min(1, (editor.scrollTop - tops[index]) / height)) : 0);
+}
+
+function scrollEditorToLine(line) {
+  const tops = getEditorLineTops();
+  const index = Math.max(0, Math.min(Math.floor(line), tops.length - 1));
+  const nextTop = index + 1 < tops.length ? tops[index + 1] : editor.scrollHeight;
+  editor.scrollTop = tops[index] + (line - index) * (nextTop - tops[index]);
+}
+
+/**
+ * Preview blocks that know their source line, with their offset in the preview
+ *
+ * The start and end of the document are included as anchors so positions
+ * before the first block and after the last one interpolate too. Anchors that
+ * would go backwards (nested or floated elements) are skipped.
+ *
+ * @returns {Array<{line: number, top: number}>} Ascending in both line and top
+ */
+function getPreviewAnchors() {
+  const originTop = preview.getBoundingClientRect().top - preview.scrollTop;
+  const anchors = [{ line: 0, top: 0 }];
+
+  preview.querySelectorAll('[data-source-line]').forEach(el => {
+    const last = anchors[anchors.length - 1];
+    const line = Number(el.dataset.sourceLine);
+    const top = el.getBoundingClientRect().top - originTop;
+    if (line > last.line && top >= last.top) {
+      anchors.push({ line: line, top: top });
+    }
+  });
+
+  const lineCount = editor.value.split('\n').length;
+  const last = anchors[anchors.length - 1];
+  if (lineCount > last.line && preview.scrollHeight >= last.top) {
+    anchors.push({ line: lineCount, top: preview.scrollHeight });
+  }
+  return anchors;
+}
+
+// Convert a source line to a preview offset or back (fromKey/toKey are 'line' and 'top'),
+// interpolating between the two anchors around it
+function mapThroughAnchors(anchors, value, fromKey, toKey) {
+  const index = findLastAtOrBefore(anchors.map(anchor => anchor[fromKey]), value);
+  const a = anchors[index];
+  const b = anchors[index + 1];
+  if (!b || b[fromKey] === a[fromKey]) {
+    return a[toKey];
+  }
+  return a[toKey] + (value - a[fromKey]) / (b[fromKey] - a[fromKey]) * (b[toKey] - a[toKey]);
+}
+
 // Sync scroll toggle handler
 syncScrollToggle.addEventListener('change', (e) => {
   syncScrollEnabled = e.target.checked;
@@ -660,6 +1259,9 @@ if (savedPreviewPref !== null) {
 }
 
 function updatePreview() {
+  // Line positions are measured again on the next synced scroll
+  editorLineTops = null;
+
   if (isHtmlFile) {
     // For HTML files, render directly in an iframe for proper sandboxing
     const htmlContent = editor.value;
@@ -668,6 +1270,8 @@ function updatePreview() {
     // For markdown files, use marked.js
     const markdown = editor.value;
     preview.innerHTML = marked.parse(markdown);
+    annotateListItems(preview);
+    renderPendingMermaidDiagrams();
 
     // Apply syntax highlighting to code blocks
     if (typeof hljs !== 'undefined') {
@@ -697,6 +1301,11 @@ function updateStats() {
   wordCount.textContent = `Words: ${wordCountValue}`;
   charCount.textContent = `Characters: ${charCountValue}`;
   lineCount.textContent = `Lines: ${lineCountValue}`;
+
+  // Task list completion, only shown for documents that have tasks
+  const tasks = countTasks(text);
+  taskStats.classList.toggle('hidden', tasks.total === 0);
+  taskCount.textContent = `Tasks: ${tasks.done}/${tasks.total}`;
 }
 
 // Update line numbers for Editor mode
@@ -784,6 +1393,8 @@ function switchMode(mode) {
     }
     codemirrorContainer.classList.remove('focus-mode-enabled');
   }
+
+  reportSessionState();
 }
 
 // Toggle between Editor, Writing Focus, and Reader modes
@@ -1044,10 +1655,14 @@ function initializeCodeMirror() {
       highlightActiveLine(),
       // Tab key handling for indentation
       keymap.of([
+        // Undo/redo use the tab's history shared with the textarea
+        { key: 'Mod-z', run: () => { undoEdit(); return true; } },
+        { key: 'Mod-y', run: () => { redoEdit(); return true; } },
+        { key: 'Mod-Shift-z', run: () => { redoEdit(); return true; } },
         {
           key: 'Tab',
           run: (view) => {
-            view.dispatch(view.state.replaceSelection('  '));
+            view.dispatch(view.state.replaceSelection('  '), { userEvent: 'input.indent' });
             return true;
           }
         },
@@ -1080,7 +1695,7 @@ function initializeCodeMirror() {
             }
 
             if (changes.length > 0) {
-              view.dispatch({ changes });
+              view.dispatch({ changes, userEvent: 'delete.dedent' });
             }
 
             return true;
@@ -1102,17 +1717,13 @@ function initializeCodeMirror() {
           // Update outline if it's open
           scheduleOutlineUpdate();
 
-          // Mark content as changed and notify main process (debounced)
-          if (!contentChangedSinceLastSave) {
-            contentChangedSinceLastSave = true;
-            // Clear existing timeout
-            if (contentChangeTimeout) {
-              clearTimeout(contentChangeTimeout);
+          // Opening a file or switching tabs replaces the document without it being an edit
+          const isDocumentLoad = update.transactions.some(tr => tr.annotation(Transaction.addToHistory) === false);
+          if (!isDocumentLoad) {
+            if (update.transactions.some(tr => tr.isUserEvent('input') || tr.isUserEvent('delete') || tr.isUserEvent('move'))) {
+              recordUndoSnapshot(false, update.startState);
             }
-            // Debounce: wait 300ms before sending the message
-            contentChangeTimeout = setTimeout(() => {
-              ipcRenderer.send('content-changed');
-            }, 300);
+            markContentChanged();
           }
         }
 
@@ -1269,7 +1880,6 @@ ipcRenderer.on('file-opened', async (event, { content, filePath, isDocx }) => {
 
     // Auto-expand parent folders to show current file
     if (currentFilePath) {
-      const path = require('path');
       let dir = path.dirname(currentFilePath);
       while (dir !== workspacePath && dir !== path.dirname(dir)) {
         if (!expandedFolders.has(dir)) {
@@ -1289,39 +1899,18 @@ ipcRenderer.on('file-opened', async (event, { content, filePath, isDocx }) => {
   }
 
   // Check if this is an HTML file (.docx files are now converted to markdown)
-  isHtmlFile = filePath && filePath.toLowerCase().endsWith('.html');
+  isHtmlFile = !!filePath && filePath.toLowerCase().endsWith('.html');
   isDocxFile = false; // .docx files are now converted to markdown, treat as markdown
-
-  // Check if this is an HTML file and add appropriate class
-  if (isHtmlFile) {
-    container.classList.add('html-viewer');
-    container.classList.remove('docx-viewer');
-    // Update pane title
-    const paneTitle = document.querySelector('.preview-pane .pane-header .title');
-    if (paneTitle) {
-      paneTitle.textContent = 'HTML Preview';
-    }
-  } else {
-    container.classList.remove('html-viewer');
-    container.classList.remove('docx-viewer');
-    // Reset pane title to default
-    const paneTitle = document.querySelector('.preview-pane .pane-header .title');
-    if (paneTitle) {
-      paneTitle.textContent = 'Preview';
-    }
-  }
+  applyFileTypeView();
 
   // CRITICAL: Update CodeMirror view if active (Show Formatting enabled)
   if (codemirrorView) {
-    codemirrorView.dispatch({
-      changes: {
-        from: 0,
-        to: codemirrorView.state.doc.length,
-        insert: content
-      }
-    });
+    loadCodeMirrorDocument(editor.value, { anchor: 0 });
   }
 
+  // A freshly opened file starts with an empty undo history
+  resetUndoHistory();
+
   updatePreview();
   updateStats();
   updateLineNumbers();
@@ -1339,25 +1928,14 @@ ipcRenderer.on('new-file', () => {
   currentFilePath = null;
   isHtmlFile = false; // Reset HTML file flag
   isDocxFile = false; // Reset .docx file flag
-  container.classList.remove('html-viewer'); // Remove HTML viewer styling
-  container.classList.remove('docx-viewer'); // Remove .docx viewer styling
-  // Reset pane title to default
-  const paneTitle = document.querySelector('.preview-pane .pane-header .title');
-  if (paneTitle) {
-    paneTitle.textContent = 'Preview';
-  }
+  applyFileTypeView();
   contentChangedSinceLastSave = false; // Reset unsaved flag for new file
 
   // CRITICAL: Update CodeMirror view if active (Show Formatting enabled)
   if (codemirrorView) {
-    codemirrorView.dispatch({
-      changes: {
-        from: 0,
-        to: codemirrorView.state.doc.length,
-        insert: ''
-      }
-    });
+    loadCodeMirrorDocument('', { anchor: 0 });
   }
+  resetUndoHistory();
 
   updatePreview();
   updateStats();
@@ -1373,7 +1951,7 @@ ipcRenderer.on('new-file', () => {
 // Listen for save request
 ipcRenderer.on('save-file-request', () => {
   const content = editor.value;
-  ipcRenderer.send('save-content', content);
+  ipcRenderer.send('save-content', content, activeTabId);
 });
 
 // Listen for file saved
@@ -1383,6 +1961,17 @@ ipcRenderer.on('file-saved', (event, filePath) => {
   updateStatus(`Saved: ${filePath}`);
 });
 
+// Listen for failed save (the file on disk was left untouched)
+ipcRenderer.on('save-failed', (event, message) => {
+  contentChangedSinceLastSave = true; // Still unsaved
+  status.textContent = `⚠ Save failed: ${message}`;
+  status.classList.add('save-error');
+  setTimeout(() => {
+    status.classList.remove('save-error');
+    status.textContent = currentFilePath || 'Ready';
+  }, 8000); // Longer than normal messages so it isn't missed
+});
+
 function updateStatus(message) {
   status.textContent = message;
   setTimeout(() => {
@@ -1730,6 +2319,7 @@ function replaceCurrentMatch() {
   const replaceText = replaceInput.value;
 
   const newText = text.substring(0, match.start) + replaceText + text.substring(match.end);
+  recordUndoSnapshot(true);
   editor.value = newText;
 
   // Update cursor position
@@ -1758,6 +2348,7 @@ function replaceAllMatches() {
   const newText = editor.value.replace(regex, replaceText);
 
   const replaceCount = matches.length;
+  recordUndoSnapshot(true);
   editor.value = newText;
 
   updatePreview();
@@ -1896,6 +2487,7 @@ function formatList(type) {
 
   // Replace the text
   const newText = text.substring(0, lineStart) + newLines.join('\n') + text.substring(lineEnd);
+  recordUndoSnapshot(true);
   editor.value = newText;
 
   // Update cursor position - select the modified lines
@@ -1955,13 +2547,26 @@ ipcRenderer.on('autosave-saving', () => {
 
 // Handle link clicks in preview
 preview.addEventListener('click', (e) => {
+  // Footnote reference <-> footnote text (the back link's number is a <sup> inside the <a>)
+  const footnoteLink = e.target.closest('a.footnote-link');
+  if (footnoteLink) {
+    e.preventDefault();
+    jumpToFootnoteTarget(footnoteLink.getAttribute('href').slice(1));
+    return;
+  }
+
+  // #tag - list the notes carrying it in the sidebar
+  if (e.target.classList.contains('hashtag')) {
+    showTagInSidebar(e.target.dataset.tag);
+    return;
+  }
+
   if (e.target.tagName === 'A') {
     e.preventDefault();
 
-    // Wikilinks (internal links) - don't open anywhere, just prevent default
+    // Wikilinks (internal links) - open the note, or offer to create it
     if (e.target.classList.contains('wikilink')) {
-      console.log('Wikilink clicked:', e.target.title || e.target.textContent);
-      // Could add functionality here later (e.g., search for file, show tooltip, etc.)
+      openWikilink(e.target.dataset.page);
       return;
     }
 
@@ -1969,7 +2574,484 @@ preview.addEventListener('click', (e) => {
     if (e.target.href && !e.target.href.startsWith('#')) {
       shell.openExternal(e.target.href);
     }
+    return;
   }
+
+  handlePreviewSourceClick(e);
+});
+
+// ==========================================
+// Preview ↔ Source Navigation
+// ==========================================
+// Clicking rendered text in Editor mode puts the editor cursor on the markdown it
+// came from (Ctrl+click does the same from Writing Focus or Reader mode, switching
+// to Editor mode). "Reveal in Preview" goes the other way. Both rely on the
+// data-source-line annotations added by parseWithSourceLines().
+
+/**
+ * Work out which source line a click in the preview landed on
+ *
+ * Starts from the block's first line and counts the line breaks rendered
+ * before the click point: <br>s (soft breaks), newlines in code blocks, nested
+ * list items and paragraph gaps. Table rows map directly to their source row.
+ *
+ * @returns {{line: number, renderedBefore: string}|null} Line (0-based) and the text
+ *   rendered between the start of that line and the click, or null if unknown
+ */
+function getSourcePositionFromPreview(clientX, clientY, target) {
+  const block = target.closest('[data-source-line]');
+  if (!block || !preview.contains(block)) return null;
+
+  const startLine = Number(block.dataset.sourceLine);
+  const endLine = block.dataset.sourceEnd !== undefined ? Number(block.dataset.sourceEnd) : Infinity;
+
+  // Tables: header row is the first line, body rows follow the |---| separator
+  const row = target.closest('tr');
+  if (row && block.contains(row)) {
+    const bodyRow = row.parentElement.tagName === 'TBODY' ? row.sectionRowIndex : -1;
+    const line = bodyRow === -1 ? startLine : startLine + 2 + bodyRow;
+    return { line: Math.min(line, endLine), renderedBefore: '' };
+  }
+
+  const caret = document.caretRangeFromPoint(clientX, clientY);
+  if (!caret || !block.contains(caret.startContainer)) {
+    return { line: startLine, renderedBefore: '' };
+  }
+
+  // Fenced code blocks and frontmatter start with a line that isn't rendered
+  const sourceLines = editor.value.split('\n');
+  let line = startLine;
+  if (block.tagName === 'PRE' && /^\s*(```|~~~|---)/.test(sourceLines[startLine] || '')) {
+    line++;
+  }
+
+  let renderedBefore = '';
+  const walker = document.createTreeWalker(block, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  let node = walker.nextNode();
+  while (node) {
+    const isCaretNode = node === caret.startContainer;
+
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = isCaretNode ? node.textContent.slice(0, caret.startOffset) : node.textContent;
+      const breaks = node.parentElement.closest('pre') ? countNewlines(text) : 0;
+      line += breaks;
+      renderedBefore = breaks > 0 ? text.slice(text.lastIndexOf('\n') + 1) : renderedBefore + text;
+    } else if (node.tagName === 'BR') {
+      line++;
+      renderedBefore = '';
+    } else if (node.tagName === 'LI' && node !== block) {
+      line++;
+      renderedBefore = '';
+    } else if (node.tagName === 'P' && node.previousElementSibling) {
+      line += 2; // Blank line between paragraphs
+      renderedBefore = '';
+    }
+
+    if (isCaretNode) break;
+    node = walker.nextNode();
+  }
+
+  return { line: Math.min(line, endLine), renderedBefore: renderedBefore };
+}
+
+// Best guess for the column of the click: find the last few rendered characters in the
+// source line (markdown syntax around them differs, so the whole prefix usually won't match)
+function findSourceColumn(sourceLine, renderedBefore) {
+  for (let length = Math.min(12, renderedBefore.length); length >= 3; length--) {
+    const probe = renderedBefore.slice(-length);
+    const index = sourceLine.indexOf(probe);
+    if (index !== -1) {
+      return index + probe.length;
+    }
+  }
+  return 0;
+}
+
+// Put the cursor at a source line and column, keeping the line at the same height
+// on screen as the preview block that was clicked
+function placeEditorCursor(line, column, alignToClientY) {
+  const lines = editor.value.split('\n');
+  const lineIndex = Math.max(0, Math.min(line, lines.length - 1));
+  let position = 0;
+  for (let i = 0; i < lineIndex; i++) {
+    position += lines[i].length + 1; // +1 for newline
+  }
+  position += Math.min(column, lines[lineIndex].length);
+
+  if (isCodeMirrorActive()) {
+    codemirrorView.dispatch({
+      selection: { anchor: position },
+      effects: EditorView.scrollIntoView(position, { y: 'center' })
+    });
+    codemirrorView.focus();
+    return;
+  }
+
+  editor.focus({ preventScroll: true });
+  editor.setSelectionRange(position, position);
+
+  // Don't let the sync move the preview the user just clicked in
+  isPreviewScrolling = true;
+  const lineTop = getEditorLineTops()[lineIndex];
+  const offset = alignToClientY - editor.getBoundingClientRect().top;
+  editor.scrollTop = Math.max(0, lineTop - Math.max(0, Math.min(offset, editor.clientHeight - 40)));
+  setTimeout(() => {
+    isPreviewScrolling = false;
+  }, 50);
+}
+
+function handlePreviewSourceClick(e) {
+  // Leave text selection, checkboxes and HTML files alone
+  if (isHtmlFile || !window.getSelection().isCollapsed || e.target.closest('input, a')) return;
+
+  const jumpRequested = e.ctrlKey || e.metaKey;
+  if (currentMode !== 'editor' && !jumpRequested) return;
+
+  const position = getSourcePositionFromPreview(e.clientX, e.clientY, e.target);
+  if (!position) return;
+
+  if (currentMode !== 'editor') {
+    switchMode('editor');
+  }
+
+  const sourceLine = editor.value.split('\n')[position.line] || '';
+  placeEditorCursor(position.line, findSourceColumn(sourceLine, position.renderedBefore), e.clientY);
+}
+
+// Briefly highlight a preview element that was just scrolled to
+function flashPreviewElement(el) {
+  el.classList.remove('source-reveal');
+  void el.offsetWidth; // Restart the animation if it is already running
+  el.classList.add('source-reveal');
+  setTimeout(() => el.classList.remove('source-reveal'), 1500);
+}
+
+// Scroll the preview to the block rendered from the line the cursor is on
+function revealInPreview() {
+  if (isHtmlFile) return;
+
+  const cursor = isCodeMirrorActive() ? codemirrorView.state.selection.main.head : editor.selectionStart;
+  const cursorLine = countNewlines(editor.value, 0, cursor);
+
+  // Writing Focus mode has no preview next to the editor, show the rendered note instead
+  if (currentMode === 'writing') {
+    switchMode('reader');
+  } else if (currentMode === 'editor' && !showPreview) {
+    updateStatus('Preview is hidden - turn on "Show Preview" to reveal the line');
+    return;
+  }
+
+  revealPreviewLine(cursorLine);
+}
+
+// Scroll the preview to the block rendered from a source line and flash it
+function revealPreviewLine(sourceLine) {
+  // The closest block starting at or before the line (on a tie the later one, so a
+  // list item wins over its list). Footnotes render at the end whatever their source line.
+  let target = null;
+  let targetLine = -1;
+  preview.querySelectorAll('[data-source-line]').forEach(el => {
+    const line = Number(el.dataset.sourceLine);
+    if (line <= sourceLine && line >= targetLine) {
+      target = el;
+      targetLine = line;
+    }
+  });
+  if (!target) return;
+
+  isEditorScrolling = true; // Keep the editor where it is
+  target.scrollIntoView({ block: 'center' });
+  setTimeout(() => {
+    isEditorScrolling = false;
+  }, 50);
+
+  flashPreviewElement(target);
+}
+
+ipcRenderer.on('reveal-in-preview', () => {
+  revealInPreview();
+});
+
+// Put the cursor on a line of the document that was just opened (from the backlinks panel);
+// Reader mode has no cursor, so it shows the line in the preview instead
+ipcRenderer.on('go-to-line', (event, line, column = 0) => {
+  // After the file is rendered and its tab's scroll position restored
+  setTimeout(() => {
+    if (currentMode === 'reader') {
+      revealPreviewLine(line);
+    } else {
+      placeEditorCursor(line, column, editor.getBoundingClientRect().top + editor.clientHeight / 3);
+    }
+  }, 50);
+});
+
+// ==========================================
+// Task Lists
+// ==========================================
+// GFM "- [ ]" / "- [x]" items render as real checkboxes (see the checkbox renderer
+// above). Ticking one in the preview or Reader mode rewrites the marker in the source.
+
+// List item marker followed by a task box, also inside blockquotes ("> - [ ] item")
+const TASK_ITEM_REGEX = /^((?:\s*>)*\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\](?=\s|$))/;
+
+// Count task items, skipping fenced code blocks
+function countTasks(text) {
+  let total = 0;
+  let done = 0;
+  let inFence = false;
+  text.split('\n').forEach(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+    const match = line.match(TASK_ITEM_REGEX);
+    if (match) {
+      total++;
+      if (match[2] !== ' ') done++;
+    }
+  });
+  return { total, done };
+}
+
+/**
+ * Find the source line of a task checkbox in the preview
+ *
+ * Nested list items aren't tagged with their own lines, so this takes the
+ * top-level block the checkbox sits in and picks the task line with the
+ * same index within that block's source range.
+ *
+ * @returns {number} Line index (0-based), or -1 if it can't be matched
+ */
+function findTaskSourceLine(checkbox) {
+  const block = checkbox.closest('[data-source-end]');
+  if (!block || !preview.contains(block)) return -1;
+
+  const index = Array.from(block.querySelectorAll('.task-checkbox')).indexOf(checkbox);
+  const lines = editor.value.split('\n');
+  const start = Number(block.dataset.sourceLine);
+  const end = Math.min(Number(block.dataset.sourceEnd), lines.length - 1);
+
+  let seen = 0;
+  for (let i = start; i <= end; i++) {
+    if (TASK_ITEM_REGEX.test(lines[i])) {
+      if (seen === index) return i;
+      seen++;
+    }
+  }
+  return -1;
+}
+
+// Write a checkbox's new state back to its "[ ]" / "[x]" marker
+function toggleTaskItem(checkbox) {
+  const lineIndex = findTaskSourceLine(checkbox);
+  if (lineIndex === -1) {
+    checkbox.checked = !checkbox.checked; // Source doesn't match, undo the click
+    updateStatus('Could not find this task in the source');
+    return;
+  }
+
+  const lines = editor.value.split('\n');
+  lines[lineIndex] = lines[lineIndex].replace(TASK_ITEM_REGEX, `$1${checkbox.checked ? 'x' : ' '}$3`);
+
+  // Keep the preview where it is while it re-renders
+  const previewScrollTop = preview.scrollTop;
+  isPreviewScrolling = true;
+  replaceEditorContent(lines.join('\n'));
+  preview.scrollTop = previewScrollTop;
+  setTimeout(() => {
+    isPreviewScrolling = false;
+  }, 50);
+
+  markContentChanged();
+}
+
+preview.addEventListener('change', (e) => {
+  if (e.target.classList.contains('task-checkbox') && !isHtmlFile) {
+    toggleTaskItem(e.target);
+  }
+});
+
+// ==========================================
+// Wikilinks
+// ==========================================
+// [[Note]], [[Note#Heading]] and [[Note|text]] resolve against the workspace note
+// index main sends as 'workspace-notes' (file names and frontmatter aliases).
+// Clicking a resolved link opens the note; an unresolved one offers to create it.
+
+/**
+ * Resolve a wikilink target against the workspace notes (see findNoteForTarget())
+ *
+ * @param {string} page - Link target as written, may end in #heading
+ * @returns {{filePath: string|null, heading: string|null}|null} null if unresolved.
+ *   filePath is null for a heading in the current untitled document
+ */
+function resolveWikilink(page) {
+  const { target, heading } = splitWikilinkTarget(page);
+
+  // [[#Heading]] - a heading in this note
+  if (!target) {
+    return heading ? { filePath: currentFilePath, heading: heading } : null;
+  }
+
+  const note = findNoteForTarget(workspaceNotes, target, currentFilePath);
+  return note ? { filePath: note.path, heading: heading } : null;
+}
+
+// Heading text -> comparable form for [[Note#Heading]]
+function slugifyHeading(text) {
+  return text.toLowerCase().trim().replace(/[^\w\s-]/g, '').replace(/[\s-]+/g, '-');
+}
+
+function scrollToHeading(heading) {
+  const wanted = slugifyHeading(heading);
+  const target = Array.from(preview.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+    .find(el => slugifyHeading(el.textContent) === wanted);
+
+  if (!target) {
+    updateStatus(`Heading not found: ${heading}`);
+    return;
+  }
+
+  target.scrollIntoView({ block: 'start' }); // The preview scroll handler brings the editor along
+  flashPreviewElement(target);
+}
+
+function openWikilink(page) {
+  const resolved = resolveWikilink(page);
+
+  if (!resolved) {
+    ipcRenderer.send('create-wikilink-note', splitWikilinkTarget(page).target);
+    return;
+  }
+
+  if (!resolved.filePath || resolved.filePath === currentFilePath) {
+    if (resolved.heading) scrollToHeading(resolved.heading);
+    return;
+  }
+
+  ipcRenderer.send('open-wikilink', { filePath: resolved.filePath, heading: resolved.heading });
+}
+
+ipcRenderer.on('workspace-notes', (event, notes) => {
+  workspaceNotes = notes;
+  updatePreview(); // Links may have become resolved or unresolved
+});
+
+ipcRenderer.on('scroll-to-heading', (event, heading) => {
+  // After the note's preview is rendered and its tab's scroll position restored
+  setTimeout(() => scrollToHeading(heading), 50);
+});
+
+// ==========================================
+// Footnotes
+// ==========================================
+// [^id] references are numbered by renderFootnoteSection() and link to the
+// footnote list at the end of the preview, which links back. Hovering a
+// reference shows the footnote text, and Format > Insert Footnote adds the
+// next number with a definition stub at the end of the document.
+
+const footnoteTooltip = document.createElement('div');
+footnoteTooltip.className = 'footnote-tooltip hidden';
+document.body.appendChild(footnoteTooltip);
+
+// Scroll a footnote (fn-N) or reference (fnref-N-K) into view and flash it
+function jumpToFootnoteTarget(id) {
+  const target = document.getElementById(id);
+  if (!target || !preview.contains(target)) return;
+
+  hideFootnoteTooltip();
+  target.scrollIntoView({ block: 'center' }); // The preview scroll handler keeps the editor in sync
+  flashPreviewElement(target);
+}
+
+function showFootnoteTooltip(ref) {
+  const footnote = document.getElementById(`fn-${ref.querySelector('a').dataset.footnote}`);
+  if (!footnote) return;
+
+  // The footnote's text without its back links
+  const content = footnote.cloneNode(true);
+  content.querySelectorAll('.footnote-backref').forEach(link => link.remove());
+  footnoteTooltip.innerHTML = content.innerHTML;
+  footnoteTooltip.classList.remove('hidden');
+
+  // Below the reference, or above it when there's no room
+  const refRect = ref.getBoundingClientRect();
+  const tooltipRect = footnoteTooltip.getBoundingClientRect();
+  const left = Math.max(8, Math.min(refRect.left - 20, window.innerWidth - tooltipRect.width - 8));
+  let top = refRect.bottom + 6;
+  if (top + tooltipRect.height > window.innerHeight - 8) {
+    top = Math.max(8, refRect.top - tooltipRect.height - 6);
+  }
+  footnoteTooltip.style.left = `${left}px`;
+  footnoteTooltip.style.top = `${top}px`;
+}
+
+function hideFootnoteTooltip() {
+  footnoteTooltip.classList.add('hidden');
+}
+
+preview.addEventListener('mouseover', (e) => {
+  const ref = e.target.closest('.footnote-ref');
+  if (ref && currentMode === 'reader') {
+    showFootnoteTooltip(ref);
+  }
+});
+
+preview.addEventListener('mouseout', (e) => {
+  if (e.target.closest('.footnote-ref') && !(e.relatedTarget && e.relatedTarget.closest && e.relatedTarget.closest('.footnote-ref'))) {
+    hideFootnoteTooltip();
+  }
+});
+
+preview.addEventListener('scroll', hideFootnoteTooltip);
+
+// Insert [^N] at the cursor (N = highest numeric footnote + 1) and "[^N]: " at the end of the
+// document, leaving the cursor in the definition so the note can be typed straight away
+function insertFootnote() {
+  if (isHtmlFile) return;
+
+  const text = editor.value;
+  let highest = 0;
+  (text.match(/\[\^(\d+)\]/g) || []).forEach(ref => {
+    highest = Math.max(highest, parseInt(ref.slice(2), 10));
+  });
+  const reference = `[^${highest + 1}]`;
+  const definitionPrefix = text.endsWith('\n\n') ? '' : (text.endsWith('\n') ? '\n' : '\n\n');
+  const definition = `${definitionPrefix}${reference}: `;
+
+  // Reference and definition undo together, as one step of their own
+  recordUndoSnapshot(true);
+
+  if (isCodeMirrorActive()) {
+    // Not a user event, so the update listener doesn't record a second undo step
+    const cursor = codemirrorView.state.selection.main.head;
+    const docLength = codemirrorView.state.doc.length;
+    codemirrorView.dispatch({
+      changes: [
+        { from: cursor, insert: reference },
+        { from: docLength, insert: definition }
+      ],
+      selection: { anchor: docLength + reference.length + definition.length },
+      scrollIntoView: true
+    });
+    codemirrorView.focus();
+    return;
+  }
+
+  const cursor = editor.selectionEnd;
+  editor.value = text.substring(0, cursor) + reference + text.substring(cursor) + definition;
+  editor.focus();
+  editor.setSelectionRange(editor.value.length, editor.value.length);
+
+  updatePreview();
+  updateStats();
+  updateLineNumbers();
+  markContentChanged();
+}
+
+ipcRenderer.on('insert-footnote', () => {
+  insertFootnote();
 });
 
 // Initial preview and stats
@@ -1986,9 +3068,13 @@ const closeVersionSidebar = document.getElementById('close-version-sidebar');
 const versionList = document.getElementById('version-list');
 const versionEmpty = document.getElementById('version-empty');
 const currentStats = document.getElementById('current-stats');
+const versionCompareBar = document.getElementById('version-compare-bar');
+const versionCompareLabel = document.getElementById('version-compare-label');
+const compareSelectedBtn = document.getElementById('compare-selected-btn');
 
 let versionSidebarOpen = false;
 let currentVersions = [];
+let selectedVersionIds = []; // Up to two backups picked for a side-by-side compare
 
 // Toggle version sidebar
 function toggleVersionSidebar(show) {
@@ -2002,6 +3088,8 @@ function toggleVersionSidebar(show) {
     versionSidebar.classList.add('hidden');
     document.body.classList.remove('version-sidebar-open');
   }
+
+  reportSessionState();
 }
 
 // Close sidebar button
@@ -2056,6 +3144,10 @@ function formatTimestamp(isoString) {
 function renderVersions(versions) {
   currentVersions = versions || [];
 
+  // Drop selections for backups that no longer exist
+  selectedVersionIds = selectedVersionIds.filter(id => currentVersions.some(v => v.id === id));
+  updateVersionCompareBar();
+
   if (currentVersions.length === 0) {
     versionList.style.display = 'none';
     versionEmpty.style.display = 'block';
@@ -2091,9 +3183,10 @@ function renderVersions(versions) {
     }
 
     return `
-      <div class="version-item" data-version-id="${version.id}" data-timestamp="${formatTimestamp(version.timestamp)}">
+      <div class="version-item${version.pinned ? ' pinned' : ''}" data-version-id="${version.id}" data-timestamp="${formatTimestamp(version.timestamp)}">
+        <input type="checkbox" class="version-select" data-version-id="${version.id}" title="Select to compare with another backup" ${selectedVersionIds.includes(version.id) ? 'checked' : ''}>
         <div class="version-main">
-          <div class="version-icon">🕐</div>
+          <div class="version-icon">${version.pinned ? '📌' : '🕐'}</div>
           <div class="version-info">
             <div class="version-timestamp">${formatTimestamp(version.timestamp)}</div>
             <div class="version-stats">${formatSize(version.size)} · ${version.words} words · ${version.lines} lines</div>
@@ -2103,6 +3196,12 @@ function renderVersions(versions) {
         <button class="version-preview-btn" data-action="preview" data-version-id="${version.id}" title="Compare with current">
           👁
         </button>
+        <button class="version-preview-btn" data-action="compare-disk" data-version-id="${version.id}" title="Compare with saved file on disk">
+          💾
+        </button>
+        <button class="version-preview-btn version-pin-btn" data-action="pin" data-version-id="${version.id}" title="${version.pinned ? 'Unpin (can be deleted by retention again)' : 'Pin (never deleted automatically)'}">
+          📌
+        </button>
       </div>
     `;
   }).join('');
@@ -2111,8 +3210,60 @@ function renderVersions(versions) {
   versionList.querySelectorAll('.version-preview-btn').forEach(btn => {
     btn.addEventListener('click', handleVersionAction);
   });
+
+  versionList.querySelectorAll('.version-select').forEach(checkbox => {
+    checkbox.addEventListener('change', handleVersionSelect);
+  });
+}
+
+// Track the two backups picked for comparison (a third pick replaces the oldest pick)
+function handleVersionSelect(e) {
+  const versionId = e.target.dataset.versionId;
+
+  if (e.target.checked) {
+    selectedVersionIds.push(versionId);
+    if (selectedVersionIds.length > 2) {
+      const dropped = selectedVersionIds.shift();
+      const droppedBox = versionList.querySelector(`.version-select[data-version-id="${dropped}"]`);
+      if (droppedBox) droppedBox.checked = false;
+    }
+  } else {
+    selectedVersionIds = selectedVersionIds.filter(id => id !== versionId);
+  }
+
+  updateVersionCompareBar();
+}
+
+// Show the compare bar while any backup is ticked
+function updateVersionCompareBar() {
+  if (selectedVersionIds.length === 0) {
+    versionCompareBar.classList.add('hidden');
+    return;
+  }
+
+  versionCompareBar.classList.remove('hidden');
+  if (selectedVersionIds.length === 1) {
+    versionCompareLabel.textContent = `${selectedVersionIds[0]} selected, pick one more`;
+    compareSelectedBtn.disabled = true;
+  } else {
+    versionCompareLabel.textContent = `${selectedVersionIds[0]} ↔ ${selectedVersionIds[1]}`;
+    compareSelectedBtn.disabled = false;
+  }
 }
 
+// Compare the two ticked backups, newer one on the left
+compareSelectedBtn.addEventListener('click', () => {
+  if (selectedVersionIds.length !== 2) return;
+
+  const [older, newer] = currentVersions.filter(v => selectedVersionIds.includes(v.id));
+  if (!older || !newer) return;
+
+  ipcRenderer.send('open-compare-window', older.id, formatTimestamp(older.timestamp), {
+    versionId: newer.id,
+    timestamp: formatTimestamp(newer.timestamp)
+  });
+});
+
 // Handle version actions
 function handleVersionAction(e) {
   e.stopPropagation();
@@ -2121,20 +3272,25 @@ function handleVersionAction(e) {
 
   if (action === 'preview') {
     previewVersion(versionId, e.target);
+  } else if (action === 'compare-disk') {
+    previewVersion(versionId, e.target, 'disk');
   } else if (action === 'restore') {
     restoreVersion(versionId);
   } else if (action === 'delete') {
     deleteVersion(versionId);
+  } else if (action === 'pin') {
+    const version = currentVersions.find(v => v.id === versionId);
+    ipcRenderer.send('set-version-pinned', versionId, !(version && version.pinned));
   }
 }
 
-// Preview a version in compare window
-function previewVersion(versionId, buttonElement) {
+// Preview a version in compare window (against the editor, or 'disk' for the saved file)
+function previewVersion(versionId, buttonElement, against) {
   // Get timestamp from parent version-item
   const versionItem = buttonElement.closest('.version-item');
   const timestamp = versionItem ? versionItem.dataset.timestamp : '';
 
-  ipcRenderer.send('open-compare-window', versionId, timestamp);
+  ipcRenderer.send('open-compare-window', versionId, timestamp, against);
 }
 
 // Restore a version
@@ -2226,6 +3382,99 @@ ipcRenderer.on('create-snapshot-request', () => {
   }, 2000);
 });
 
+// ==========================================
+// Backup Settings Dialog
+// ==========================================
+// Where backups are stored and how many are kept. The settings live in main
+// (settings.json), which sends them with 'show-backup-settings' and tells every
+// window when they change.
+
+const backupSettingsDialog = document.getElementById('backup-settings-dialog');
+const backupStorageMode = document.getElementById('backup-storage-mode');
+const backupGlobalPathGroup = document.getElementById('backup-global-path-group');
+const backupGlobalPath = document.getElementById('backup-global-path');
+const backupRetentionMode = document.getElementById('backup-retention-mode');
+const backupRetentionCountGroup = document.getElementById('backup-retention-count-group');
+const backupRetentionCount = document.getElementById('backup-retention-count');
+const backupRetentionTiers = document.getElementById('backup-retention-tiers');
+const backupKeepAllHours = document.getElementById('backup-keep-all-hours');
+const backupHourlyDays = document.getElementById('backup-hourly-days');
+const backupDailyDays = document.getElementById('backup-daily-days');
+const backupWeeklyWeeks = document.getElementById('backup-weekly-weeks');
+const saveBackupSettingsBtn = document.getElementById('save-backup-settings-btn');
+
+function updateBackupSettingsDialog() {
+  const isGlobal = backupStorageMode.value === 'global';
+  backupGlobalPathGroup.style.display = isGlobal ? 'flex' : 'none';
+  saveBackupSettingsBtn.disabled = isGlobal && !backupGlobalPath.value;
+
+  const isTiered = backupRetentionMode.value === 'tiered';
+  backupRetentionCountGroup.style.display = isTiered ? 'none' : 'flex';
+  backupRetentionTiers.style.display = isTiered ? 'flex' : 'none';
+}
+
+function hideBackupSettingsDialog() {
+  backupSettingsDialog.classList.add('hidden');
+}
+
+ipcRenderer.on('show-backup-settings', (event, settings) => {
+  backupStorageMode.value = settings.storageMode;
+  backupGlobalPath.value = settings.globalPath;
+  backupRetentionMode.value = settings.retention.mode;
+  backupRetentionCount.value = settings.retention.count;
+  backupKeepAllHours.value = settings.retention.allHours;
+  backupHourlyDays.value = settings.retention.hourlyDays;
+  backupDailyDays.value = settings.retention.dailyDays;
+  backupWeeklyWeeks.value = settings.retention.weeklyWeeks;
+  updateBackupSettingsDialog();
+  backupSettingsDialog.classList.remove('hidden');
+  makeDraggable(backupSettingsDialog);
+});
+
+ipcRenderer.on('backup-folder-chosen', (event, folderPath) => {
+  backupGlobalPath.value = folderPath;
+  updateBackupSettingsDialog();
+});
+
+backupStorageMode.addEventListener('change', updateBackupSettingsDialog);
+backupRetentionMode.addEventListener('change', updateBackupSettingsDialog);
+
+document.getElementById('backup-browse-btn').addEventListener('click', () => {
+  ipcRenderer.send('choose-backup-folder', backupGlobalPath.value);
+});
+
+// main lists the backups a stricter policy would delete and asks before applying
+saveBackupSettingsBtn.addEventListener('click', () => {
+  ipcRenderer.send('save-backup-settings', {
+    storageMode: backupStorageMode.value,
+    globalPath: backupGlobalPath.value,
+    retention: {
+      mode: backupRetentionMode.value,
+      count: parseInt(backupRetentionCount.value, 10),
+      allHours: parseFloat(backupKeepAllHours.value),
+      hourlyDays: parseFloat(backupHourlyDays.value),
+      dailyDays: parseFloat(backupDailyDays.value),
+      weeklyWeeks: parseFloat(backupWeeklyWeeks.value)
+    }
+  });
+});
+
+ipcRenderer.on('backup-settings-result', (event, applied) => {
+  if (applied) {
+    hideBackupSettingsDialog();
+  }
+});
+
+document.getElementById('cancel-backup-settings-btn').addEventListener('click', hideBackupSettingsDialog);
+document.getElementById('close-backup-settings').addEventListener('click', hideBackupSettingsDialog);
+
+// The current note's history may be somewhere else now
+ipcRenderer.on('backup-settings-changed', () => {
+  if (versionSidebarOpen) {
+    loadVersions();
+  }
+});
+
 // Handle request for current content (for compare window)
 ipcRenderer.on('get-current-content-for-compare', () => {
   const content = editor.value || '';
@@ -2266,6 +3515,99 @@ ipcRenderer.on('restore-content', (event, content) => {
   loadVersions();
 });
 
+// Replace the editor text in place, keeping cursor and scroll position where possible
+function replaceEditorContent(content) {
+  recordUndoSnapshot(true); // Reloads and merges can be undone like any other edit
+
+  const selectionStart = Math.min(editor.selectionStart, content.length);
+  const selectionEnd = Math.min(editor.selectionEnd, content.length);
+  const scrollTop = editor.scrollTop;
+
+  editor.value = content;
+  editor.setSelectionRange(selectionStart, selectionEnd);
+  editor.scrollTop = scrollTop;
+
+  if (codemirrorView) {
+    const head = Math.min(codemirrorView.state.selection.main.head, content.length);
+    codemirrorView.dispatch({
+      changes: {
+        from: 0,
+        to: codemirrorView.state.doc.length,
+        insert: content
+      },
+      selection: { anchor: head }
+    });
+  }
+
+  updatePreview();
+  updateStats();
+  updateLineNumbers();
+
+  if (minimapEnabled) {
+    updateMinimap();
+  }
+}
+
+// File changed on disk and the buffer was clean (or the user chose to load it)
+ipcRenderer.on('reload-from-disk', (event, content) => {
+  replaceEditorContent(content);
+
+  // The CodeMirror update listener treats the reload as an edit, undo that
+  if (contentChangeTimeout) {
+    clearTimeout(contentChangeTimeout);
+  }
+  contentChangedSinceLastSave = false;
+
+  updateStatus('Reloaded: file was changed on disk');
+});
+
+// Result of merging disk changes with unsaved edits (main has marked it unsaved)
+ipcRenderer.on('merge-applied', (event, content) => {
+  replaceEditorContent(content);
+  contentChangedSinceLastSave = true;
+  updateStatus('Merged changes from disk - save to keep the result');
+});
+
+// Main periodically journals unsaved buffers for crash recovery (one snapshot per tab)
+ipcRenderer.on('recovery-snapshot-request', () => {
+  stashTabBuffer();
+
+  const snapshots = [];
+  tabBuffers.forEach((buffer, tabId) => {
+    snapshots.push({
+      tabId: tabId,
+      content: buffer.content,
+      cursor: buffer.selectionEnd,
+      scrollTop: buffer.editorScrollTop,
+      mode: currentMode
+    });
+  });
+  ipcRenderer.send('recovery-snapshot', snapshots);
+});
+
+// Restore a buffer recovered after a crash (main has marked it unsaved)
+ipcRenderer.on('recover-buffer', (event, { content, cursor, scrollTop, mode }) => {
+  replaceEditorContent(content);
+  if (['editor', 'writing', 'reader'].includes(mode)) {
+    switchMode(mode);
+  }
+
+  const position = Math.min(cursor || 0, content.length);
+  editor.setSelectionRange(position, position);
+  editor.scrollTop = scrollTop || 0;
+  if (codemirrorView) {
+    codemirrorView.dispatch({ selection: { anchor: position }, scrollIntoView: true });
+  }
+
+  contentChangedSinceLastSave = true;
+  updateStatus('Recovered unsaved changes - save to keep them');
+});
+
+ipcRenderer.on('file-missing-on-disk', () => {
+  contentChangedSinceLastSave = true;
+  updateStatus('File was deleted or moved on disk - save to recreate it');
+});
+
 // Window-level drag-and-drop for opening files (anywhere in window)
 document.addEventListener('dragover', (e) => {
   // Prevent default to allow drop
@@ -2604,6 +3946,7 @@ function toggleMinimap(enabled) {
 
   // Notify that minimap state changed
   ipcRenderer.send('minimap-toggled', enabled);
+  reportSessionState();
 }
 
 // Close button handler for minimap
@@ -2681,8 +4024,14 @@ const leftSidebar = document.getElementById('left-sidebar');
 const closeLeftSidebarBtn = document.getElementById('close-left-sidebar');
 const tabFilesBtn = document.getElementById('tab-files');
 const tabOutlineBtn = document.getElementById('tab-outline');
+const tabBacklinksBtn = document.getElementById('tab-backlinks');
+const tabTagsBtn = document.getElementById('tab-tags');
+const tabSearchBtn = document.getElementById('tab-search');
 const fileTreeContent = document.getElementById('file-tree-content');
 const outlineContent = document.getElementById('outline-content');
+const backlinksContent = document.getElementById('backlinks-content');
+const tagsContent = document.getElementById('tags-content');
+const searchContent = document.getElementById('search-content');
 
 // Outline elements
 const outlineList = document.getElementById('outline-list');
@@ -2897,7 +4246,20 @@ function switchLeftSidebarTab(tab) {
     tabOutlineBtn.classList.add('active');
     outlineContent.classList.add('active');
     updateOutline();
+  } else if (tab === 'backlinks') {
+    tabBacklinksBtn.classList.add('active');
+    backlinksContent.classList.add('active');
+    requestBacklinks();
+  } else if (tab === 'tags') {
+    tabTagsBtn.classList.add('active');
+    tagsContent.classList.add('active');
+    requestTags();
+  } else if (tab === 'search') {
+    tabSearchBtn.classList.add('active');
+    searchContent.classList.add('active');
   }
+
+  reportSessionState();
 }
 
 // Toggle left sidebar
@@ -2908,91 +4270,635 @@ function toggleLeftSidebar(show) {
     // Update content for active tab
     if (activeTab === 'outline') {
       updateOutline();
+    } else if (activeTab === 'backlinks') {
+      requestBacklinks();
+    } else if (activeTab === 'tags') {
+      requestTags();
     }
   } else {
     leftSidebar.classList.add('hidden');
     document.body.classList.remove('left-sidebar-open');
   }
+
+  reportSessionState();
+}
+
+// Toggle outline (shows sidebar with outline tab active)
+function toggleOutline(show) {
+  if (show) {
+    switchLeftSidebarTab('outline');
+    toggleLeftSidebar(true);
+  } else {
+    toggleLeftSidebar(false);
+  }
+}
+
+// Tab button click handlers
+if (tabFilesBtn) {
+  tabFilesBtn.addEventListener('click', () => {
+    switchLeftSidebarTab('files');
+  });
+}
+
+if (tabOutlineBtn) {
+  tabOutlineBtn.addEventListener('click', () => {
+    switchLeftSidebarTab('outline');
+  });
+}
+
+if (tabBacklinksBtn) {
+  tabBacklinksBtn.addEventListener('click', () => {
+    switchLeftSidebarTab('backlinks');
+  });
+}
+
+if (tabTagsBtn) {
+  tabTagsBtn.addEventListener('click', () => {
+    // Clicking the tab again goes back from a tag's notes to all tags
+    if (activeTab === 'tags' && selectedTag) {
+      selectedTag = null;
+      renderTags();
+      return;
+    }
+    switchLeftSidebarTab('tags');
+  });
+}
+
+if (tabSearchBtn) {
+  tabSearchBtn.addEventListener('click', () => {
+    switchLeftSidebarTab('search');
+    workspaceSearchInput.focus();
+  });
+}
+
+// Close button handler
+if (closeLeftSidebarBtn) {
+  closeLeftSidebarBtn.addEventListener('click', () => {
+    toggleLeftSidebar(false);
+  });
+}
+
+// Listen for outline toggle from main process
+ipcRenderer.on('toggle-outline', (event, show) => {
+  // If show is null, toggle based on current state
+  if (show === null || show === undefined) {
+    const isOpen = !leftSidebar.classList.contains('hidden');
+    toggleOutline(!isOpen);
+  } else {
+    toggleOutline(show);
+  }
+});
+
+// Update outline on content change
+editor.addEventListener('input', scheduleOutlineUpdate);
+
+// Keyboard shortcut for outline (Ctrl+Shift+O)
+document.addEventListener('keydown', (e) => {
+  if (e.ctrlKey && e.shiftKey && e.key === 'O') {
+    e.preventDefault();
+    const isOpen = !leftSidebar.classList.contains('hidden');
+    if (isOpen && activeTab === 'outline') {
+      // Close if already showing outline
+      toggleOutline(false);
+    } else {
+      // Open and show outline tab
+      toggleOutline(true);
+    }
+    ipcRenderer.send('outline-toggled', !isOpen);
+  }
+});
+
+// Update outline when switching modes (wrap original switchMode)
+switchMode = (function(originalFunc) {
+  return function(mode) {
+    originalFunc(mode);
+
+    // Update outline after mode switch if sidebar is open and outline tab is active
+    const isSidebarOpen = !leftSidebar.classList.contains('hidden');
+    if (isSidebarOpen && activeTab === 'outline') {
+      setTimeout(() => {
+        updateOutline();
+      }, 100);
+    }
+  };
+})(switchMode);
+
+// Initialize active tab on load
+document.addEventListener('DOMContentLoaded', () => {
+  switchLeftSidebarTab(activeTab);
+});
+
+// ==========================================
+// Backlinks Panel
+// ==========================================
+// Lists the workspace notes that link to the current file ([[wikilinks]] and
+// relative markdown links), from the link index main keeps per window. The list
+// is requested again whenever the shown file or the index may have changed.
+
+const backlinksList = document.getElementById('backlinks-list');
+const backlinksEmpty = document.getElementById('backlinks-empty');
+const backlinksEmptyMessage = document.getElementById('backlinks-empty-message');
+const backlinksEmptyHint = document.getElementById('backlinks-empty-hint');
+let backlinksUpdateTimeout = null;
+
+// Ask main for the current file's backlinks, if the panel is showing
+function requestBacklinks() {
+  if (leftSidebar.classList.contains('hidden') || activeTab !== 'backlinks') return;
+  ipcRenderer.send('get-backlinks', currentFilePath);
+}
+
+// Debounced, several of the events below can arrive together (open + save + index)
+function scheduleBacklinksUpdate() {
+  clearTimeout(backlinksUpdateTimeout);
+  backlinksUpdateTimeout = setTimeout(requestBacklinks, 100);
+}
+
+function showBacklinksEmpty(message, hint) {
+  backlinksList.innerHTML = '';
+  backlinksList.style.display = 'none';
+  backlinksEmpty.style.display = 'block';
+  backlinksEmptyMessage.textContent = message;
+  backlinksEmptyHint.textContent = hint;
+}
+
+function renderBacklinks(data) {
+  if (!data.hasWorkspace) {
+    showBacklinksEmpty('No workspace open', 'Open a folder to see which notes link here');
+    return;
+  }
+  if (!data.filePath) {
+    showBacklinksEmpty('Untitled note', 'Save this note in the workspace to see what links to it');
+    return;
+  }
+  if (data.backlinks.length === 0) {
+    showBacklinksEmpty('No backlinks', 'No notes in the workspace link to this one yet');
+    return;
+  }
+
+  backlinksEmpty.style.display = 'none';
+  backlinksList.style.display = 'block';
+  backlinksList.innerHTML = '';
+
+  data.backlinks.forEach(note => {
+    const noteItem = document.createElement('div');
+    noteItem.className = 'backlinks-note';
+    noteItem.title = note.path;
+    noteItem.textContent = `📄 ${note.name}`;
+
+    const count = document.createElement('span');
+    count.className = 'backlinks-count';
+    count.textContent = note.references.length;
+    noteItem.appendChild(count);
+
+    noteItem.addEventListener('click', () => {
+      ipcRenderer.send('open-file-at-line', { filePath: note.path, line: note.references[0].line });
+    });
+    backlinksList.appendChild(noteItem);
+
+    note.references.forEach(reference => {
+      const referenceItem = document.createElement('div');
+      referenceItem.className = 'backlinks-reference';
+      referenceItem.textContent = reference.context;
+      referenceItem.title = `Line ${reference.line + 1}`;
+      referenceItem.addEventListener('click', () => {
+        ipcRenderer.send('open-file-at-line', { filePath: note.path, line: reference.line });
+      });
+      backlinksList.appendChild(referenceItem);
+    });
+  });
+}
+
+ipcRenderer.on('backlinks', (event, data) => {
+  // Ignore answers for a file that is no longer shown
+  if (data.filePath !== currentFilePath) return;
+  renderBacklinks(data);
+});
+
+// The shown file or the index may have changed
+['file-opened', 'new-file', 'file-saved', 'activate-tab', 'workspace-notes', 'workspace-opened'].forEach(channel => {
+  ipcRenderer.on(channel, scheduleBacklinksUpdate);
+});
+
+// ==========================================
+// Tag Browser
+// ==========================================
+// Shows the workspace's tags (#hashtags and frontmatter `tags:`, indexed by main)
+// as a tree, nested tags like #proj/alpha under #proj, with note counts. Picking
+// a tag, here or on a hashtag in the preview, lists the notes carrying it or any
+// tag nested under it.
+
+const tagsList = document.getElementById('tags-list');
+const tagsEmpty = document.getElementById('tags-empty');
+const tagsEmptyMessage = document.getElementById('tags-empty-message');
+const tagsEmptyHint = document.getElementById('tags-empty-hint');
+let tagsData = { hasWorkspace: false, tags: [] };
+let selectedTag = null;
+let expandedTags = new Set();
+let tagsUpdateTimeout = null;
+
+// Load expanded tags from localStorage
+try {
+  const saved = localStorage.getItem('tags.expanded');
+  if (saved) {
+    expandedTags = new Set(JSON.parse(saved));
+  }
+} catch (err) {
+  console.error('Error loading expanded tags:', err);
+}
+
+// Ask main for the workspace's tags, if the panel is showing
+function requestTags() {
+  if (leftSidebar.classList.contains('hidden') || activeTab !== 'tags') return;
+  ipcRenderer.send('get-tags');
+}
+
+function scheduleTagsUpdate() {
+  clearTimeout(tagsUpdateTimeout);
+  tagsUpdateTimeout = setTimeout(requestTags, 100);
+}
+
+/**
+ * Build the nested tag tree from main's flat list
+ *
+ * Segments are matched case-insensitively, so #Proj/alpha and #proj/beta
+ * share a parent. Each node's notes include those of the tags under it.
+ *
+ * @param {Array<{name: string, notes: Array}>} tags - Tags with their notes
+ * @returns {Array} Top-level nodes: {key, label, notes: Map, children: Map}
+ */
+function buildTagTree(tags) {
+  const root = new Map();
+
+  tags.forEach(tag => {
+    let level = root;
+    let key = '';
+    tag.name.split('/').forEach(segment => {
+      key = key ? `${key}/${segment.toLowerCase()}` : segment.toLowerCase();
+      if (!level.has(key)) {
+        level.set(key, { key: key, label: segment, notes: new Map(), children: new Map() });
+      }
+      const node = level.get(key);
+      tag.notes.forEach(note => node.notes.set(note.path, note));
+      level = node.children;
+    });
+  });
+
+  return root;
+}
+
+function sortTagNodes(nodes) {
+  return Array.from(nodes.values()).sort((a, b) => a.label.localeCompare(b.label));
+}
+
+function showTagsEmpty(message, hint) {
+  tagsList.innerHTML = '';
+  tagsList.style.display = 'none';
+  tagsEmpty.style.display = 'block';
+  tagsEmptyMessage.textContent = message;
+  tagsEmptyHint.textContent = hint;
+}
+
+function renderTagNodes(nodes, level) {
+  sortTagNodes(nodes).forEach(node => {
+    const hasChildren = node.children.size > 0;
+    const isExpanded = expandedTags.has(node.key);
+
+    const item = document.createElement('div');
+    item.className = 'tag-item';
+    item.style.paddingLeft = `${8 + level * 16}px`;
+    item.title = `Show notes tagged #${node.key}`;
+
+    const toggle = document.createElement('span');
+    toggle.className = 'tag-toggle';
+    toggle.textContent = hasChildren ? (isExpanded ? '▼' : '▶') : '';
+    if (hasChildren) {
+      toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (isExpanded) {
+          expandedTags.delete(node.key);
+        } else {
+          expandedTags.add(node.key);
+        }
+        localStorage.setItem('tags.expanded', JSON.stringify(Array.from(expandedTags)));
+        renderTags();
+      });
+    }
+    item.appendChild(toggle);
+
+    const label = document.createElement('span');
+    label.textContent = `#${node.label}`;
+    item.appendChild(label);
+
+    const count = document.createElement('span');
+    count.className = 'tag-count';
+    count.textContent = node.notes.size;
+    item.appendChild(count);
+
+    item.addEventListener('click', () => {
+      selectedTag = node.key;
+      renderTags();
+    });
+    tagsList.appendChild(item);
+
+    if (hasChildren && isExpanded) {
+      renderTagNodes(node.children, level + 1);
+    }
+  });
+}
+
+// Notes carrying a tag or any tag nested under it, by name
+function getNotesForTag(tag) {
+  const wanted = tag.toLowerCase();
+  const notes = new Map();
+  tagsData.tags.forEach(entry => {
+    const name = entry.name.toLowerCase();
+    if (name === wanted || name.startsWith(`${wanted}/`)) {
+      entry.notes.forEach(note => notes.set(note.path, note));
+    }
+  });
+  return Array.from(notes.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function renderTagNotes(tag) {
+  const header = document.createElement('div');
+  header.className = 'tags-header';
+
+  const backBtn = document.createElement('button');
+  backBtn.className = 'tags-back';
+  backBtn.textContent = '← All tags';
+  backBtn.addEventListener('click', () => {
+    selectedTag = null;
+    renderTags();
+  });
+  header.appendChild(backBtn);
+
+  const title = document.createElement('span');
+  title.textContent = `#${tag}`;
+  header.appendChild(title);
+  tagsList.appendChild(header);
+
+  const notes = getNotesForTag(tag);
+  if (notes.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'outline-empty';
+    empty.textContent = 'No notes carry this tag';
+    tagsList.appendChild(empty);
+    return;
+  }
+
+  notes.forEach(note => {
+    const noteItem = document.createElement('div');
+    noteItem.className = 'tag-note';
+    if (note.path === currentFilePath) {
+      noteItem.classList.add('current');
+    }
+    noteItem.title = note.path;
+    noteItem.textContent = `📄 ${note.name}`;
+    noteItem.addEventListener('click', () => {
+      ipcRenderer.send('open-file-from-tree', note.path);
+    });
+    tagsList.appendChild(noteItem);
+  });
+}
+
+function renderTags() {
+  if (!tagsData.hasWorkspace) {
+    showTagsEmpty('No workspace open', 'Open a folder to browse the tags in its notes');
+    return;
+  }
+  if (!selectedTag && tagsData.tags.length === 0) {
+    showTagsEmpty('No tags', 'Add #tags or a tags: list in the frontmatter of your notes');
+    return;
+  }
+
+  tagsEmpty.style.display = 'none';
+  tagsList.style.display = 'block';
+  tagsList.innerHTML = '';
+
+  if (selectedTag) {
+    renderTagNotes(selectedTag);
+  } else {
+    renderTagNodes(buildTagTree(tagsData.tags), 0);
+  }
+}
+
+// Open the Tags tab on one tag's notes (hashtag clicked in the preview)
+function showTagInSidebar(tag) {
+  selectedTag = tag;
+  if (activeTab === 'tags' && !leftSidebar.classList.contains('hidden')) {
+    renderTags();
+  } else {
+    switchLeftSidebarTab('tags');
+    toggleLeftSidebar(true);
+  }
+}
+
+ipcRenderer.on('tags', (event, data) => {
+  tagsData = data;
+  renderTags();
+});
+
+// The index may have changed, or the current note (highlighted in a tag's notes)
+['file-opened', 'new-file', 'file-saved', 'activate-tab', 'workspace-notes', 'workspace-opened'].forEach(channel => {
+  ipcRenderer.on(channel, scheduleTagsUpdate);
+});
+
+// ==========================================
+// Find in Workspace
+// ==========================================
+// Searches every text file in the workspace as you type. The search itself runs
+// in a worker thread in main (search-worker.js); results arrive in batches tagged
+// with the search's id, so batches from a search that was replaced are dropped.
+
+const workspaceSearchInput = document.getElementById('workspace-search-input');
+const workspaceSearchCase = document.getElementById('workspace-search-case');
+const workspaceSearchWord = document.getElementById('workspace-search-word');
+const workspaceSearchRegex = document.getElementById('workspace-search-regex');
+const workspaceSearchSummary = document.getElementById('workspace-search-summary');
+const workspaceSearchResults = document.getElementById('workspace-search-results');
+let workspaceSearchId = 0;
+let workspaceSearchTimeout = null;
+let workspaceSearchCounts = { files: 0, matches: 0 };
+
+// Load search options from localStorage
+try {
+  const saved = JSON.parse(localStorage.getItem('workspaceSearch.options') || '{}');
+  workspaceSearchCase.checked = saved.caseSensitive === true;
+  workspaceSearchWord.checked = saved.wholeWord === true;
+  workspaceSearchRegex.checked = saved.regex === true;
+} catch (err) {
+  console.error('Error loading search options:', err);
+}
+
+function getWorkspaceSearchOptions() {
+  return {
+    caseSensitive: workspaceSearchCase.checked,
+    wholeWord: workspaceSearchWord.checked,
+    regex: workspaceSearchRegex.checked
+  };
+}
+
+function setWorkspaceSearchSummary(text, isError = false) {
+  workspaceSearchSummary.textContent = text;
+  workspaceSearchSummary.classList.toggle('error', isError);
+  workspaceSearchInput.classList.toggle('invalid', isError);
 }
 
-// Toggle outline (shows sidebar with outline tab active)
-function toggleOutline(show) {
-  if (show) {
-    switchLeftSidebarTab('outline');
-    toggleLeftSidebar(true);
-  } else {
-    toggleLeftSidebar(false);
+function startWorkspaceSearch() {
+  clearTimeout(workspaceSearchTimeout);
+  workspaceSearchId++;
+  workspaceSearchResults.innerHTML = '';
+  workspaceSearchCounts = { files: 0, matches: 0 };
+
+  const query = workspaceSearchInput.value;
+  if (!query) {
+    ipcRenderer.send('cancel-workspace-search');
+    setWorkspaceSearchSummary('');
+    return;
   }
-}
 
-// Tab button click handlers
-if (tabFilesBtn) {
-  tabFilesBtn.addEventListener('click', () => {
-    switchLeftSidebarTab('files');
+  setWorkspaceSearchSummary('Searching...');
+  ipcRenderer.send('search-workspace', {
+    searchId: workspaceSearchId,
+    query: query,
+    options: getWorkspaceSearchOptions()
   });
 }
 
-if (tabOutlineBtn) {
-  tabOutlineBtn.addEventListener('click', () => {
-    switchLeftSidebarTab('outline');
+function scheduleWorkspaceSearch() {
+  clearTimeout(workspaceSearchTimeout);
+  workspaceSearchTimeout = setTimeout(startWorkspaceSearch, 300);
+}
+
+// One line of a result, with the match highlighted
+function createSearchMatchItem(file, match) {
+  const item = document.createElement('div');
+  item.className = 'search-result-match';
+  item.title = `Line ${match.line + 1}`;
+
+  const lineNumber = document.createElement('span');
+  lineNumber.className = 'search-result-line';
+  lineNumber.textContent = match.line + 1;
+  item.appendChild(lineNumber);
+
+  const text = document.createElement('span');
+  text.className = 'search-result-text';
+  const matchEnd = match.previewStart + match.previewLength;
+  const mark = document.createElement('mark');
+  mark.textContent = match.preview.slice(match.previewStart, matchEnd);
+  text.append(match.preview.slice(0, match.previewStart).trimStart(), mark, match.preview.slice(matchEnd));
+  item.appendChild(text);
+
+  item.addEventListener('click', () => {
+    ipcRenderer.send('open-file-at-line', { filePath: file.path, line: match.line, column: match.column });
   });
+  return item;
 }
 
-// Close button handler
-if (closeLeftSidebarBtn) {
-  closeLeftSidebarBtn.addEventListener('click', () => {
-    toggleLeftSidebar(false);
+function renderWorkspaceSearchFile(file) {
+  const header = document.createElement('div');
+  header.className = 'search-result-file';
+  header.title = file.path;
+
+  const toggle = document.createElement('span');
+  toggle.className = 'tag-toggle';
+  toggle.textContent = '▼';
+  header.appendChild(toggle);
+
+  const name = document.createElement('span');
+  name.textContent = file.relativePath.split(/[\\/]/).pop();
+  header.appendChild(name);
+
+  const folder = document.createElement('span');
+  folder.className = 'search-result-path';
+  folder.textContent = file.relativePath.split(/[\\/]/).slice(0, -1).join('/');
+  header.appendChild(folder);
+
+  const count = document.createElement('span');
+  count.className = 'tag-count';
+  count.textContent = file.matches.length;
+  header.appendChild(count);
+
+  const matchList = document.createElement('div');
+  file.matches.forEach(match => matchList.appendChild(createSearchMatchItem(file, match)));
+
+  header.addEventListener('click', () => {
+    const collapsed = matchList.style.display === 'none';
+    matchList.style.display = collapsed ? 'block' : 'none';
+    toggle.textContent = collapsed ? '▼' : '▶';
   });
+
+  workspaceSearchResults.appendChild(header);
+  workspaceSearchResults.appendChild(matchList);
 }
 
-// Listen for outline toggle from main process
-ipcRenderer.on('toggle-outline', (event, show) => {
-  // If show is null, toggle based on current state
-  if (show === null || show === undefined) {
-    const isOpen = !leftSidebar.classList.contains('hidden');
-    toggleOutline(!isOpen);
-  } else {
-    toggleOutline(show);
+function formatSearchCounts(matches, files) {
+  return `${matches} result${matches === 1 ? '' : 's'} in ${files} file${files === 1 ? '' : 's'}`;
+}
+
+ipcRenderer.on('workspace-search-results', (event, message) => {
+  if (message.searchId !== workspaceSearchId) return;
+
+  if (message.type === 'results') {
+    message.files.forEach(file => {
+      renderWorkspaceSearchFile(file);
+      workspaceSearchCounts.files++;
+      workspaceSearchCounts.matches += file.matches.length;
+    });
+    setWorkspaceSearchSummary(`Searching... ${formatSearchCounts(workspaceSearchCounts.matches, workspaceSearchCounts.files)}`);
+  } else if (message.type === 'done') {
+    if (message.totalMatches === 0) {
+      setWorkspaceSearchSummary(`No results in ${message.searchedFiles} files`);
+    } else {
+      const limit = message.truncated ? ' (stopped at the result limit, refine the search)' : '';
+      setWorkspaceSearchSummary(formatSearchCounts(message.totalMatches, message.matchedFiles) + limit);
+    }
+  } else if (message.type === 'error') {
+    setWorkspaceSearchSummary(message.message, true);
   }
 });
 
-// Update outline on content change
-editor.addEventListener('input', scheduleOutlineUpdate);
+// Show the Search tab with the editor's selection (if any) as the query
+function showWorkspaceSearch() {
+  const selection = editor.value.substring(editor.selectionStart, editor.selectionEnd);
+  if (selection && !selection.includes('\n')) {
+    workspaceSearchInput.value = selection;
+  }
 
-// Keyboard shortcut for outline (Ctrl+Shift+O)
-document.addEventListener('keydown', (e) => {
-  if (e.ctrlKey && e.shiftKey && e.key === 'O') {
+  switchLeftSidebarTab('search');
+  toggleLeftSidebar(true);
+  workspaceSearchInput.focus();
+  workspaceSearchInput.select();
+  if (workspaceSearchInput.value) {
+    startWorkspaceSearch();
+  }
+}
+
+workspaceSearchInput.addEventListener('input', scheduleWorkspaceSearch);
+workspaceSearchInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
     e.preventDefault();
-    const isOpen = !leftSidebar.classList.contains('hidden');
-    if (isOpen && activeTab === 'outline') {
-      // Close if already showing outline
-      toggleOutline(false);
-    } else {
-      // Open and show outline tab
-      toggleOutline(true);
-    }
-    ipcRenderer.send('outline-toggled', !isOpen);
+    startWorkspaceSearch();
+  } else if (e.key === 'Escape') {
+    workspaceSearchInput.value = '';
+    startWorkspaceSearch();
   }
 });
 
-// Update outline when switching modes (wrap original switchMode)
-switchMode = (function(originalFunc) {
-  return function(mode) {
-    originalFunc(mode);
+[workspaceSearchCase, workspaceSearchWord, workspaceSearchRegex].forEach(checkbox => {
+  checkbox.addEventListener('change', () => {
+    localStorage.setItem('workspaceSearch.options', JSON.stringify(getWorkspaceSearchOptions()));
+    startWorkspaceSearch();
+  });
+});
 
-    // Update outline after mode switch if sidebar is open and outline tab is active
-    const isSidebarOpen = !leftSidebar.classList.contains('hidden');
-    if (isSidebarOpen && activeTab === 'outline') {
-      setTimeout(() => {
-        updateOutline();
-      }, 100);
-    }
-  };
-})(switchMode);
+ipcRenderer.on('show-workspace-search', showWorkspaceSearch);
 
-// Initialize active tab on load
-document.addEventListener('DOMContentLoaded', () => {
-  switchLeftSidebarTab(activeTab);
+// A different workspace, the old results point at the wrong files
+ipcRenderer.on('workspace-opened', () => {
+  if (workspaceSearchInput.value) {
+    startWorkspaceSearch();
+  }
 });
 
 // ==========================================
@@ -3156,6 +5062,7 @@ ipcRenderer.on('workspace-opened', (event, data) => {
   workspacePath = data.workspacePath;
   fileTree = data.fileTree;
   refreshFileTreeDisplay();
+  reportSessionState();
 
   // Auto-open sidebar if it's not already open
   if (leftSidebar.classList.contains('hidden')) {
@@ -3163,6 +5070,12 @@ ipcRenderer.on('workspace-opened', (event, data) => {
   }
 });
 
+// A file was added to the open workspace (e.g. a note created from a wikilink)
+ipcRenderer.on('workspace-tree-updated', (event, data) => {
+  fileTree = data.fileTree;
+  refreshFileTreeDisplay();
+});
+
 // Listen for toggle from main process
 ipcRenderer.on('toggle-file-tree', (event, show) => {
   if (show === null || show === undefined) {
@@ -3306,6 +5219,11 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// escapeHtml() for attribute values, which also need double quotes escaped
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
 // Create print window
 function createPrintWindow(content) {
   const printWindow = window.open('', '_blank', 'width=800,height=600');
@@ -3381,49 +5299,56 @@ function createPrintWindow(content) {
 // Print preview - sends to main process to create print window
 printPreviewBtn.addEventListener('click', () => {
   savePrintSettings();
-  const content = getPrintContent();
-  const fileName = currentFilePath ? currentFilePath.split(/[\\/]/).pop() : 'Untitled';
+  hidePrintDialog();
 
-  // Send to main process to create proper print preview window
-  ipcRenderer.send('show-print-preview-window', {
-    content: content,
-    fileName: fileName,
-    settings: printSettings
-  });
+  // Wait for mermaid diagrams still rendering so the SVGs are in the output
+  mermaidQueue.then(() => {
+    const content = getPrintContent();
+    const fileName = currentFilePath ? currentFilePath.split(/[\\/]/).pop() : 'Untitled';
 
-  hidePrintDialog();
+    // Send to main process to create proper print preview window
+    ipcRenderer.send('show-print-preview-window', {
+      content: content,
+      fileName: fileName,
+      settings: printSettings
+    });
+  });
 });
 
 // Print directly - sends to main process for system print dialog
 printBtn.addEventListener('click', () => {
   savePrintSettings();
-  const content = getPrintContent();
-  const fileName = currentFilePath ? currentFilePath.split(/[\\/]/).pop() : 'Untitled';
+  hidePrintDialog();
 
-  // Send to main process to handle printing with system dialog
-  ipcRenderer.send('print-document', {
-    content: content,
-    fileName: fileName,
-    settings: printSettings
-  });
+  mermaidQueue.then(() => {
+    const content = getPrintContent();
+    const fileName = currentFilePath ? currentFilePath.split(/[\\/]/).pop() : 'Untitled';
 
-  hidePrintDialog();
+    // Send to main process to handle printing with system dialog
+    ipcRenderer.send('print-document', {
+      content: content,
+      fileName: fileName,
+      settings: printSettings
+    });
+  });
 });
 
 // Print to PDF
 printToPdfBtn.addEventListener('click', () => {
   savePrintSettings();
-  const content = getPrintContent();
-  const fileName = currentFilePath ? currentFilePath.split(/[\\/]/).pop() : 'Untitled';
+  hidePrintDialog();
 
-  // Send IPC to main process to handle PDF generation
-  ipcRenderer.send('print-to-pdf', {
-    content: content,
-    fileName: fileName,
-    settings: printSettings
-  });
+  mermaidQueue.then(() => {
+    const content = getPrintContent();
+    const fileName = currentFilePath ? currentFilePath.split(/[\\/]/).pop() : 'Untitled';
 
-  hidePrintDialog();
+    // Send IPC to main process to handle PDF generation
+    ipcRenderer.send('print-to-pdf', {
+      content: content,
+      fileName: fileName,
+      settings: printSettings
+    });
+  });
 });
 
 // Cancel print dialog
@@ -3448,15 +5373,17 @@ ipcRenderer.on('show-print-preview', () => {
   // Force rendered content (not raw)
   const tempSettings = { ...printSettings, contentType: 'rendered' };
 
-  // Get rendered content from preview pane
-  const content = preview.innerHTML;
-  const fileName = currentFilePath ? currentFilePath.split(/[\\/]/).pop() : 'Untitled';
+  // Get rendered content from preview pane (once pending diagrams are drawn)
+  mermaidQueue.then(() => {
+    const content = preview.innerHTML;
+    const fileName = currentFilePath ? currentFilePath.split(/[\\/]/).pop() : 'Untitled';
 
-  // Send to main process for printing
-  ipcRenderer.send('print-document', {
-    content: content,
-    fileName: fileName,
-    settings: tempSettings
+    // Send to main process for printing
+    ipcRenderer.send('print-document', {
+      content: content,
+      fileName: fileName,
+      settings: tempSettings
+    });
   });
 });
 
@@ -3500,3 +5427,358 @@ ipcRenderer.on('pdf-saved', (event, filePath) => {
 // Load print settings on startup
 loadPrintSettings();
 
+// ==========================================
+// Session State
+// ==========================================
+
+// Collect what main needs to rebuild this window next launch
+function getSessionState() {
+  return {
+    mode: currentMode,
+    cursor: codemirrorView ? codemirrorView.state.selection.main.head : editor.selectionStart,
+    editorScrollTop: codemirrorView ? codemirrorView.scrollDOM.scrollTop : editor.scrollTop,
+    previewScrollTop: preview.scrollTop,
+    leftSidebar: { visible: !leftSidebar.classList.contains('hidden'), tab: activeTab },
+    minimap: minimapEnabled,
+    versionSidebar: versionSidebarOpen,
+    workspacePath: workspacePath
+  };
+}
+
+// Send the layout to main (debounced, scrolling fires constantly)
+function reportSessionState() {
+  if (sessionStateTimeout) {
+    clearTimeout(sessionStateTimeout);
+  }
+  sessionStateTimeout = setTimeout(() => {
+    ipcRenderer.send('session-state', getSessionState());
+  }, 500);
+}
+
+// Cursor moves and scrolling anywhere (textarea, CodeMirror, preview)
+document.addEventListener('keyup', reportSessionState);
+document.addEventListener('mouseup', reportSessionState);
+document.addEventListener('scroll', reportSessionState, true);
+
+// Rebuild the layout saved in the last session
+ipcRenderer.on('restore-session-state', (event, saved) => {
+  if (['editor', 'writing', 'reader'].includes(saved.mode)) {
+    switchMode(saved.mode);
+  }
+
+  if (saved.leftSidebar) {
+    switchLeftSidebarTab(saved.leftSidebar.tab || 'files');
+    toggleLeftSidebar(!!saved.leftSidebar.visible);
+  }
+  if (typeof saved.minimap === 'boolean' && saved.minimap !== minimapEnabled) {
+    toggleMinimap(saved.minimap);
+  }
+  if (saved.versionSidebar) {
+    toggleVersionSidebar(true);
+  }
+
+  // Wait for the preview and editor to lay out before restoring positions
+  setTimeout(() => {
+    const position = Math.min(saved.cursor || 0, editor.value.length);
+    if (codemirrorView) {
+      codemirrorView.dispatch({ selection: { anchor: position } });
+      codemirrorView.scrollDOM.scrollTop = saved.editorScrollTop || 0;
+    } else {
+      editor.setSelectionRange(position, position);
+      editor.scrollTop = saved.editorScrollTop || 0;
+    }
+    preview.scrollTop = saved.previewScrollTop || 0;
+  }, 100);
+});
+
+// ==========================================
+// Tabs and Undo History
+// ==========================================
+// Main owns the tab list (file paths, unsaved flags) and decides which tab is
+// active. The renderer has one editor, so it keeps each background tab's text,
+// selection, scroll position and undo history here until the tab comes back.
+
+const tabList = document.getElementById('tab-list');
+const newTabBtn = document.getElementById('new-tab-btn');
+
+const tabBuffers = new Map(); // tabId -> buffer (see createTabBuffer)
+let activeTabId = null;
+
+const UNDO_LIMIT = 200; // Undo steps kept per tab
+const UNDO_SIZE_LIMIT = 8 * 1024 * 1024; // Characters of text kept per tab's undo steps, long notes get fewer steps
+const UNDO_GROUP_MS = 1000; // Edits closer together than this undo as one step
+let lastUndoRecordTime = 0;
+
+function createTabBuffer() {
+  return {
+    content: '',
+    selectionStart: 0,
+    selectionEnd: 0,
+    editorScrollTop: 0,
+    previewScrollTop: 0,
+    isHtmlFile: false,
+    undoStack: [],
+    redoStack: []
+  };
+}
+
+function getActiveTabBuffer() {
+  if (!tabBuffers.has(activeTabId)) {
+    tabBuffers.set(activeTabId, createTabBuffer());
+  }
+  return tabBuffers.get(activeTabId);
+}
+
+// CodeMirror exists once formatting was turned on, but is only in use while it's shown
+function isCodeMirrorActive() {
+  return codemirrorView && !codemirrorContainer.classList.contains('hidden');
+}
+
+// Text and selection of the editor in use, as an undo history entry
+function getEditorSnapshot() {
+  if (isCodeMirrorActive()) {
+    const selection = codemirrorView.state.selection.main;
+    return { content: codemirrorView.state.doc.toString(), selectionStart: selection.from, selectionEnd: selection.to };
+  }
+  return { content: editor.value, selectionStart: editor.selectionStart, selectionEnd: editor.selectionEnd };
+}
+
+/**
+ * Remember the document as it is before an edit
+ *
+ * Typing is grouped: a new undo step only starts after a pause of
+ * UNDO_GROUP_MS. Commands that rewrite the text (list formatting, replace,
+ * indent) pass `force` so they always undo on their own.
+ *
+ * @param {boolean} force - Start a new undo step even while typing
+ * @param {EditorState} [startState] - CodeMirror state before the edit (the view already shows the result)
+ */
+function recordUndoSnapshot(force = false, startState = null) {
+  const buffer = getActiveTabBuffer();
+  const now = Date.now();
+  const continuesTyping = !force && now - lastUndoRecordTime < UNDO_GROUP_MS && buffer.undoStack.length > 0;
+  lastUndoRecordTime = force ? 0 : now;
+  if (continuesTyping) return;
+
+  let entry;
+  if (startState) {
+    const selection = startState.selection.main;
+    entry = { content: startState.doc.toString(), selectionStart: selection.from, selectionEnd: selection.to };
+  } else {
+    entry = getEditorSnapshot();
+  }
+
+  buffer.undoStack.push(entry);
+  trimUndoStack(buffer);
+  buffer.redoStack = [];
+}
+
+// Each undo step is a full copy of the text, so drop the oldest ones past
+// UNDO_LIMIT steps or UNDO_SIZE_LIMIT characters (always keeping the newest)
+function trimUndoStack(buffer) {
+  let size = buffer.undoStack.reduce((total, entry) => total + entry.content.length, 0);
+  while (buffer.undoStack.length > 1 &&
+         (buffer.undoStack.length > UNDO_LIMIT || size > UNDO_SIZE_LIMIT)) {
+    size -= buffer.undoStack.shift().content.length;
+  }
+}
+
+function resetUndoHistory() {
+  const buffer = getActiveTabBuffer();
+  buffer.undoStack = [];
+  buffer.redoStack = [];
+  lastUndoRecordTime = 0;
+}
+
+// Replace the CodeMirror document without it counting as an edit (opening a file, switching tabs)
+function loadCodeMirrorDocument(content, selection) {
+  codemirrorView.dispatch({
+    changes: { from: 0, to: codemirrorView.state.doc.length, insert: content },
+    selection: selection,
+    annotations: Transaction.addToHistory.of(false)
+  });
+}
+
+// Put an undo/redo entry into the editor
+function applyHistoryEntry(entry) {
+  lastUndoRecordTime = 0;
+
+  editor.value = entry.content;
+  editor.setSelectionRange(entry.selectionStart, entry.selectionEnd);
+  if (codemirrorView) {
+    codemirrorView.dispatch({
+      changes: { from: 0, to: codemirrorView.state.doc.length, insert: entry.content },
+      selection: { anchor: entry.selectionStart, head: entry.selectionEnd },
+      scrollIntoView: true
+    });
+  }
+
+  updatePreview();
+  updateStats();
+  updateLineNumbers();
+  scheduleOutlineUpdate();
+  if (minimapEnabled) {
+    updateMinimap();
+  }
+  markContentChanged();
+}
+
+function undoEdit() {
+  const buffer = getActiveTabBuffer();
+  const entry = buffer.undoStack.pop();
+  if (!entry) return;
+
+  buffer.redoStack.push(getEditorSnapshot());
+  applyHistoryEntry(entry);
+}
+
+function redoEdit() {
+  const buffer = getActiveTabBuffer();
+  const entry = buffer.redoStack.pop();
+  if (!entry) return;
+
+  buffer.undoStack.push(getEditorSnapshot());
+  trimUndoStack(buffer);
+  applyHistoryEntry(entry);
+}
+
+// Edit menu Undo/Redo
+ipcRenderer.on('undo', () => undoEdit());
+ipcRenderer.on('redo', () => redoEdit());
+
+// Show the preview for HTML files, the markdown preview for everything else
+function applyFileTypeView() {
+  container.classList.toggle('html-viewer', isHtmlFile);
+  container.classList.remove('docx-viewer');
+
+  const paneTitle = document.querySelector('.preview-pane .pane-header .title');
+  if (paneTitle) {
+    paneTitle.textContent = isHtmlFile ? 'HTML Preview' : 'Preview';
+  }
+}
+
+// Copy what the editor shows into the active tab's buffer
+function stashTabBuffer() {
+  if (activeTabId === null || !tabBuffers.has(activeTabId)) return;
+
+  const buffer = tabBuffers.get(activeTabId);
+  const snapshot = getEditorSnapshot();
+  buffer.content = snapshot.content;
+  buffer.selectionStart = snapshot.selectionStart;
+  buffer.selectionEnd = snapshot.selectionEnd;
+  buffer.editorScrollTop = isCodeMirrorActive() ? codemirrorView.scrollDOM.scrollTop : editor.scrollTop;
+  buffer.previewScrollTop = preview.scrollTop;
+  buffer.isHtmlFile = isHtmlFile;
+}
+
+// Load a tab's buffer into the editor, preview and sidebars
+function showTabBuffer(buffer) {
+  editor.value = buffer.content;
+  editor.setSelectionRange(buffer.selectionStart, buffer.selectionEnd);
+  if (codemirrorView) {
+    loadCodeMirrorDocument(buffer.content, { anchor: buffer.selectionStart, head: buffer.selectionEnd });
+  }
+
+  isHtmlFile = buffer.isHtmlFile;
+  isDocxFile = false;
+  applyFileTypeView();
+
+  clearHighlightOverlay();
+  matches = [];
+  currentMatchIndex = -1;
+
+  updatePreview();
+  updateStats();
+  updateLineNumbers();
+  scheduleOutlineUpdate();
+  if (minimapEnabled) {
+    updateMinimap();
+  }
+
+  // Backups belong to the file, so the sidebar follows the tab
+  selectedVersionIds = [];
+  updateVersionCompareBar();
+  if (versionSidebarOpen) {
+    loadVersions();
+  }
+  if (workspacePath && fileTreeList) {
+    refreshFileTreeDisplay();
+  }
+  status.textContent = currentFilePath || 'Ready';
+
+  // Scroll once the new content has been laid out
+  setTimeout(() => {
+    if (isCodeMirrorActive()) {
+      codemirrorView.scrollDOM.scrollTop = buffer.editorScrollTop;
+    } else {
+      editor.scrollTop = buffer.editorScrollTop;
+    }
+    preview.scrollTop = buffer.previewScrollTop;
+  }, 0);
+}
+
+// Main switched tabs (or opened a new one, which starts with an empty buffer)
+ipcRenderer.on('activate-tab', (event, { tabId, filePath, unsaved }) => {
+  stashTabBuffer();
+
+  activeTabId = tabId;
+  currentFilePath = filePath;
+  contentChangedSinceLastSave = unsaved;
+  lastUndoRecordTime = 0;
+
+  showTabBuffer(getActiveTabBuffer());
+  reportSessionState();
+});
+
+ipcRenderer.on('tab-closed', (event, tabId) => {
+  tabBuffers.delete(tabId);
+});
+
+// Rebuild the tab strip from main's list
+ipcRenderer.on('tabs-updated', (event, { tabs, activeTabId: activeId }) => {
+  tabList.innerHTML = '';
+
+  tabs.forEach(tab => {
+    const tabEl = document.createElement('div');
+    tabEl.className = 'doc-tab';
+    tabEl.classList.toggle('active', tab.id === activeId);
+    tabEl.classList.toggle('unsaved', tab.unsaved);
+    tabEl.title = tab.filePath || 'Untitled';
+
+    const name = document.createElement('span');
+    name.className = 'doc-tab-name';
+    name.textContent = tab.filePath ? path.basename(tab.filePath) : 'Untitled';
+
+    const closeTabBtn = document.createElement('button');
+    closeTabBtn.className = 'doc-tab-close';
+    closeTabBtn.title = 'Close Tab (Ctrl+W)';
+    closeTabBtn.innerHTML = '&times;';
+    closeTabBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      ipcRenderer.send('close-tab', tab.id);
+    });
+
+    tabEl.addEventListener('click', () => {
+      ipcRenderer.send('switch-tab', tab.id);
+    });
+    // Middle click closes, like a browser tab
+    tabEl.addEventListener('auxclick', (e) => {
+      if (e.button === 1) {
+        ipcRenderer.send('close-tab', tab.id);
+      }
+    });
+
+    tabEl.appendChild(name);
+    tabEl.appendChild(closeTabBtn);
+    tabList.appendChild(tabEl);
+  });
+
+  const activeEl = tabList.querySelector('.doc-tab.active');
+  if (activeEl) {
+    activeEl.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  }
+});
+
+newTabBtn.addEventListener('click', () => {
+  ipcRenderer.send('new-tab');
+});
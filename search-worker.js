@@ -0,0 +1,160 @@
+/**
+ * search-worker.js - Workspace full-text search
+ *
+ * Runs in a worker thread started by main.js (Find in Workspace), so walking
+ * and reading a few thousand notes never blocks the main process or the
+ * renderer. Results are posted back in batches as files are searched.
+ *
+ * workerData: { searchId, root, query, options: {regex, caseSensitive, wholeWord},
+ *               ignoredFolders, extensions, maxResults }
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const fs = require('fs');
+const path = require('path');
+
+const BATCH_INTERVAL = 100; // ms between result batches
+const PREVIEW_LENGTH = 160; // characters of line shown around a match
+
+/**
+ * Build the matcher for a query
+ *
+ * @returns {RegExp} Global regex; throws on an invalid regular expression
+ */
+function createSearchRegex(query, options) {
+  let source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (options.wholeWord) {
+    source = `(?<![\\w])(?:${source})(?![\\w])`;
+  }
+  return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+}
+
+// Files under root with a searchable extension, skipping ignored folders
+function collectFiles(dirPath, ignoredFolders, extensions, files = []) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dirPath, { withFileTypes: true });
+  } catch (err) {
+    return files; // Unreadable folder, search the rest
+  }
+
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  entries.forEach(entry => {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      if (!ignoredFolders.includes(entry.name)) {
+        collectFiles(entryPath, ignoredFolders, extensions, files);
+      }
+    } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(entryPath);
+    }
+  });
+  return files;
+}
+
+// The part of a long line around a match, with the match position inside it
+function createPreview(line, column, length) {
+  if (line.length <= PREVIEW_LENGTH) {
+    return { text: line, start: column, length: length };
+  }
+  const from = Math.max(0, Math.min(column - 40, line.length - PREVIEW_LENGTH));
+  const prefix = from > 0 ? '…' : '';
+  const suffix = from + PREVIEW_LENGTH < line.length ? '…' : '';
+  const start = column - from + prefix.length;
+  return {
+    text: prefix + line.slice(from, from + PREVIEW_LENGTH) + suffix,
+    start: start,
+    length: Math.min(length, prefix.length + PREVIEW_LENGTH - start)
+  };
+}
+
+/**
+ * Find the matches in one file
+ *
+ * @returns {Array<{line: number, column: number, length: number, preview: string,
+ *   previewStart: number, previewLength: number}>} line is 0-based, preview* is the
+ *   match within the preview text
+ */
+function searchFile(content, regex, limit) {
+  const matches = [];
+  const lines = content.split(/\r?\n/);
+
+  for (let lineIndex = 0; lineIndex < lines.length && matches.length < limit; lineIndex++) {
+    const line = lines[lineIndex];
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(line)) !== null && matches.length < limit) {
+      if (match[0].length === 0) {
+        regex.lastIndex++; // Empty match (e.g. ^ or a*), step past it
+        continue;
+      }
+      const preview = createPreview(line, match.index, match[0].length);
+      matches.push({
+        line: lineIndex,
+        column: match.index,
+        length: match[0].length,
+        preview: preview.text,
+        previewStart: preview.start,
+        previewLength: preview.length
+      });
+    }
+  }
+
+  return matches;
+}
+
+function runSearch() {
+  const { searchId, root, query, options, ignoredFolders, extensions, maxResults } = workerData;
+
+  let regex;
+  try {
+    regex = createSearchRegex(query, options);
+  } catch (err) {
+    parentPort.postMessage({ type: 'error', searchId, message: err.message });
+    return;
+  }
+
+  const files = collectFiles(root, ignoredFolders, extensions);
+  let batch = [];
+  let lastPost = Date.now();
+  let totalMatches = 0;
+  let matchedFiles = 0;
+
+  for (const filePath of files) {
+    if (totalMatches >= maxResults) break;
+
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf-8');
+    } catch (err) {
+      continue; // Deleted or locked since the walk
+    }
+
+    const matches = searchFile(content, regex, maxResults - totalMatches);
+    if (matches.length > 0) {
+      batch.push({ path: filePath, relativePath: path.relative(root, filePath), matches });
+      totalMatches += matches.length;
+      matchedFiles++;
+    }
+
+    if (batch.length > 0 && Date.now() - lastPost >= BATCH_INTERVAL) {
+      parentPort.postMessage({ type: 'results', searchId, files: batch });
+      batch = [];
+      lastPost = Date.now();
+    }
+  }
+
+  if (batch.length > 0) {
+    parentPort.postMessage({ type: 'results', searchId, files: batch });
+  }
+  parentPort.postMessage({
+    type: 'done',
+    searchId,
+    searchedFiles: files.length,
+    matchedFiles,
+    totalMatches,
+    truncated: totalMatches >= maxResults
+  });
+}
+
+runSearch();
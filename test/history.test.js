@@ -0,0 +1,171 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getFileHash,
+  getMetadataPath,
+  loadVersionMetadata,
+  saveVersionMetadata,
+  allocateVersionId,
+  readVersionContent,
+  planCompaction,
+  applyCompaction
+} = require('../history');
+
+function makeHistoryDir(t) {
+  const versionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nthing-history-'));
+  t.after(() => fs.rmSync(versionDir, { recursive: true, force: true }));
+  return versionDir;
+}
+
+function versionEntry(id, content, timestamp) {
+  return { id, timestamp, size: content.length, hash: getFileHash(content), trigger: 'manual-save' };
+}
+
+test('backup ids are never reused once older backups are pruned', t => {
+  const versionDir = makeHistoryDir(t);
+  const seen = new Set();
+
+  for (let i = 0; i < 25; i++) {
+    const metadata = loadVersionMetadata(versionDir);
+    const versionId = allocateVersionId(metadata);
+    assert.ok(!seen.has(versionId), `${versionId} was handed out twice`);
+    seen.add(versionId);
+
+    const content = `save ${i}\n`;
+    fs.writeFileSync(path.join(versionDir, `${versionId}.md`), content);
+    metadata.versions.push(versionEntry(versionId, content, new Date(Date.UTC(2024, 0, 1, 0, i)).toISOString()));
+
+    // Keep the newest 10, as the default retention does
+    while (metadata.versions.length > 10) {
+      const oldest = metadata.versions.shift();
+      fs.unlinkSync(path.join(versionDir, `${oldest.id}.md`));
+    }
+    saveVersionMetadata(versionDir, metadata);
+  }
+
+  const metadata = loadVersionMetadata(versionDir);
+  assert.deepStrictEqual(metadata.versions.map(version => version.id), [
+    'v016', 'v017', 'v018', 'v019', 'v020', 'v021', 'v022', 'v023', 'v024', 'v025'
+  ]);
+  assert.strictEqual(metadata.nextVersion, 26);
+  metadata.versions.forEach((version, index) => {
+    const content = fs.readFileSync(path.join(versionDir, `${version.id}.md`), 'utf-8');
+    assert.strictEqual(content, `save ${index + 15}\n`);
+  });
+});
+
+test('loading repairs duplicate ids, missing files and unlisted files', t => {
+  const versionDir = makeHistoryDir(t);
+  const write = (id, content) => fs.writeFileSync(path.join(versionDir, `${id}.md`), content);
+
+  // v010 was written twice by the old numbering: the file holds the second save
+  write('v009', 'nine\n');
+  write('v010', 'ten again\n');
+  write('v012', 'twelve\n'); // Not in metadata
+  fs.writeFileSync(getMetadataPath(versionDir), JSON.stringify({
+    versions: [
+      versionEntry('v009', 'nine\n', '2024-01-01T09:00:00.000Z'),
+      versionEntry('v010', 'ten\n', '2024-01-01T10:00:00.000Z'),
+      versionEntry('v011', 'eleven\n', '2024-01-01T11:00:00.000Z'), // File is gone
+      versionEntry('v010', 'ten again\n', '2024-01-01T10:30:00.000Z')
+    ]
+  }));
+
+  const metadata = loadVersionMetadata(versionDir);
+  const ids = metadata.versions.map(version => version.id);
+  assert.deepStrictEqual(ids.slice(0, 2), ['v009', 'v010']);
+  assert.strictEqual(metadata.versions[1].hash, getFileHash('ten again\n'));
+  assert.ok(!ids.includes('v011'));
+
+  const recovered = metadata.versions.find(version => version.id === 'v012');
+  assert.ok(recovered, 'unlisted backup file gets an entry');
+  assert.strictEqual(recovered.trigger, 'recovered');
+  assert.strictEqual(recovered.hash, getFileHash('twelve\n'));
+  assert.strictEqual(metadata.nextVersion, 13);
+
+  // The repair is saved, so a second load has nothing to change
+  const saved = JSON.parse(fs.readFileSync(getMetadataPath(versionDir), 'utf-8'));
+  assert.deepStrictEqual(saved, metadata);
+  assert.strictEqual(allocateVersionId(metadata), 'v013');
+});
+
+// 30 saves of a growing note, all stored as full copies
+function writeFullHistory(versionDir) {
+  const texts = {};
+  const metadata = { versions: [] };
+  let text = 'line\n'.repeat(50);
+  for (let i = 0; i < 30; i++) {
+    text = text.replace('line', `edit ${i}\nline`);
+    const versionId = allocateVersionId(metadata);
+    texts[versionId] = text;
+    fs.writeFileSync(path.join(versionDir, `${versionId}.md`), text);
+    metadata.versions.push(versionEntry(versionId, text, new Date(Date.UTC(2024, 0, 1, 0, i)).toISOString()));
+  }
+  saveVersionMetadata(versionDir, metadata);
+  return { metadata, texts };
+}
+
+test('compaction stores older backups as deltas that read back unchanged', t => {
+  const versionDir = makeHistoryDir(t);
+  const { metadata, texts } = writeFullHistory(versionDir);
+
+  const compacted = applyCompaction(versionDir, '.md', planCompaction(versionDir, metadata, '.md'));
+  const full = compacted.versions.filter(version => version.storage !== 'delta').map(version => version.id);
+  assert.deepStrictEqual(full, ['v020', 'v030']);
+  assert.ok(!fs.readdirSync(versionDir).some(name => name.startsWith('tmp-')));
+
+  const reloaded = loadVersionMetadata(versionDir);
+  reloaded.versions.forEach(version => {
+    assert.strictEqual(readVersionContent(versionDir, reloaded, version.id, '.md'), texts[version.id]);
+  });
+
+  // Already compact: nothing left to do
+  assert.deepStrictEqual(planCompaction(versionDir, reloaded, '.md'), []);
+});
+
+test('compaction skips changes made stale while it ran', t => {
+  const versionDir = makeHistoryDir(t);
+  const { metadata, texts } = writeFullHistory(versionDir);
+  const changes = planCompaction(versionDir, metadata, '.md');
+
+  // v011 is deleted meanwhile, so v010 can't be stored against it
+  const current = loadVersionMetadata(versionDir);
+  current.versions = current.versions.filter(version => version.id !== 'v011');
+  fs.unlinkSync(path.join(versionDir, 'v011.md'));
+  saveVersionMetadata(versionDir, current);
+
+  const compacted = applyCompaction(versionDir, '.md', changes);
+  const v010 = compacted.versions.find(version => version.id === 'v010');
+  assert.strictEqual(v010.storage, undefined);
+  assert.strictEqual(readVersionContent(versionDir, compacted, 'v010', '.md'), texts.v010);
+  assert.ok(!fs.existsSync(path.join(versionDir, 'tmp-v010.delta')));
+});
+
+test('a backup too different from the next one stays a full copy', t => {
+  const versionDir = makeHistoryDir(t);
+  const metadata = { versions: [] };
+  const lf = Array.from({ length: 3000 }, (_, i) => `line ${i}`).join('\n');
+  const crlf = lf.replace(/\n/g, '\r\n');
+  [lf, crlf].forEach((text, i) => {
+    const versionId = allocateVersionId(metadata);
+    fs.writeFileSync(path.join(versionDir, `${versionId}.md`), text);
+    metadata.versions.push(versionEntry(versionId, text, new Date(Date.UTC(2024, 0, 1, i)).toISOString()));
+  });
+
+  assert.deepStrictEqual(planCompaction(versionDir, metadata, '.md'), []);
+});
+
+test('reading a damaged backup throws instead of returning the wrong text', t => {
+  const versionDir = makeHistoryDir(t);
+  const { metadata } = writeFullHistory(versionDir);
+  const compacted = applyCompaction(versionDir, '.md', planCompaction(versionDir, metadata, '.md'));
+
+  fs.writeFileSync(path.join(versionDir, 'v030.md'), 'overwritten\n');
+  assert.throws(() => readVersionContent(versionDir, compacted, 'v025', '.md'), /damaged/);
+
+  fs.unlinkSync(path.join(versionDir, 'v020.md'));
+  assert.throws(() => readVersionContent(versionDir, compacted, 'v015', '.md'), /damaged/);
+});
@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { findNoteForTarget, createNoteLookup, findNoteInLookup } = require('../links');
+
+test('lookup resolves wikilinks the same as scanning every note', () => {
+  const notes = [
+    { path: '/notes/My Note.md', name: 'My Note', aliases: [] },
+    { path: '/notes/projects/my-note.md', name: 'my-note', aliases: ['Alpha'] },
+    { path: '/notes/projects/alpha plan.md', name: 'alpha plan', aliases: ['plan'] },
+    { path: '/notes/archive/Plan.md', name: 'Plan', aliases: [] }
+  ];
+  const lookup = createNoteLookup(notes);
+  const targets = ['my note', 'My_Note', 'projects/my-note', 'alpha', 'plan', 'archive\\plan.md', 'missing'];
+
+  targets.forEach(target => {
+    [null, '/notes/projects/today.md', '/notes/archive/old.md'].forEach(fromPath => {
+      assert.strictEqual(
+        findNoteInLookup(lookup, target, fromPath),
+        findNoteForTarget(notes, target, fromPath),
+        `${target} from ${fromPath}`
+      );
+    });
+  });
+});